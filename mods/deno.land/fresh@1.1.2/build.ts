@@ -0,0 +1,2 @@
+import { build } from "./src/dev/build.ts";
+export default build;
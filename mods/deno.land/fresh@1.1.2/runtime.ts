@@ -1,3 +1,9 @@
 export * from "./src/runtime/utils.ts";
 export * from "./src/runtime/head.ts";
 export * from "./src/runtime/csp.ts";
+export * from "./src/runtime/suspense.ts";
+export * from "./src/runtime/i18n.ts";
+export type {
+  HydrationProps,
+  HydrationStrategy,
+} from "./src/runtime/hydration.ts";
@@ -0,0 +1,48 @@
+import { dirname, fromFileUrl, join } from "./deps.ts";
+import { ensureMinDenoVersion } from "./mod.ts";
+import { FreshOptions, Manifest, ServerContext } from "../server/mod.ts";
+import { stopEsbuild } from "../server/bundle.ts";
+import { INTERNAL_PREFIX } from "../runtime/utils.ts";
+
+export interface BuildOptions extends FreshOptions {
+  /**
+   * The directory to write the site to, relative to the manifest. Defaults to
+   * `./_site`.
+   */
+  outDir?: string;
+}
+
+/**
+ * Export the app as a static site, that can be hosted on any static file
+ * server. Pages are rendered with the production settings, and written as
+ * `.html` files (or `index.html` files with `trailingSlash: "always"`).
+ * Existing files in the output directory are overwritten, and bundles of
+ * earlier builds are removed.
+ */
+export async function build(manifest: Manifest, opts: BuildOptions = {}) {
+  ensureMinDenoVersion();
+
+  const outDir = fromFileUrl(
+    new URL(opts.outDir ?? "./_site", manifest.baseUrl),
+  );
+  try {
+    await Deno.remove(join(outDir, INTERNAL_PREFIX), { recursive: true });
+  } catch (err) {
+    if (!(err instanceof Deno.errors.NotFound)) throw err;
+  }
+
+  const ctx = await ServerContext.fromManifest(manifest, opts, false);
+  let count = 0;
+  for await (const { path, contents } of ctx.staticExport()) {
+    const file = join(outDir, decodeURIComponent(path));
+    await Deno.mkdir(dirname(file), { recursive: true });
+    await Deno.writeFile(file, contents);
+    count++;
+  }
+  stopEsbuild();
+
+  console.log(
+    `%cThe site has been exported to ${outDir} (${count} files).`,
+    "color: blue; font-weight: bold",
+  );
+}
@@ -8,6 +8,16 @@ import {
   walk,
 } from "./deps.ts";
 import { error } from "./error.ts";
+import { BUILTIN_PARAM_MATCHERS } from "../server/params.ts";
+import {
+  findShadowedRoute,
+  pathToHostname,
+  pathToMatchers,
+  pathToParams,
+  pathToPattern,
+  pathToRoutePath,
+  sortRoutes,
+} from "../server/patterns.ts";
 
 const MIN_DENO_VERSION = "1.25.0";
 
@@ -31,11 +41,13 @@ export function ensureMinDenoVersion() {
 interface Manifest {
   routes: string[];
   islands: string[];
+  params: string[];
 }
 
 export async function collect(directory: string): Promise<Manifest> {
   const routesDir = join(directory, "./routes");
   const islandsDir = join(directory, "./islands");
+  const paramsDir = join(directory, "./params");
 
   const routes = [];
   try {
@@ -93,18 +105,122 @@ export async function collect(directory: string): Promise<Manifest> {
   }
   islands.sort();
 
-  return { routes, islands };
+  const params = [];
+  try {
+    const paramsUrl = toFileUrl(paramsDir);
+    for await (const entry of Deno.readDir(paramsDir)) {
+      if (entry.isDirectory) {
+        error(
+          `Found subdirectory '${entry.name}' in params/. The params/ folder must not contain any subdirectories.`,
+        );
+      }
+      if (entry.isFile) {
+        const ext = extname(entry.name);
+        if (![".ts", ".js"].includes(ext)) continue;
+        const path = join(paramsDir, entry.name);
+        const file = toFileUrl(path).href.substring(paramsUrl.href.length);
+        params.push(file);
+      }
+    }
+  } catch (err) {
+    if (err instanceof Deno.errors.NotFound) {
+      // Do nothing.
+    } else {
+      throw err;
+    }
+  }
+  params.sort();
+
+  return { routes, islands, params };
+}
+
+/** Whether a file in the routes folder is a page route. */
+function isPageRoute(file: string): boolean {
+  const fileName = file.substring(file.lastIndexOf("/") + 1);
+  return !file.startsWith("/_") &&
+    !/^_(middleware|layout|404|500)\.[jt]sx?$/.test(fileName);
+}
+
+/**
+ * Exit with an error if a route can never match because another route always
+ * matches first. Routes that use `routeOverride` are only checked at startup.
+ */
+function checkShadowedRoutes(routes: string[]) {
+  const patterns = routes.filter(isPageRoute).map((file) => {
+    const baseRoute = file.substring(1, file.length - extname(file).length);
+    return {
+      pattern: pathToPattern(baseRoute),
+      hostname: pathToHostname(baseRoute),
+      matchers: Object.fromEntries(pathToMatchers(baseRoute)),
+      file: `routes${file}`,
+    };
+  });
+  sortRoutes(patterns);
+  const shadowed = findShadowedRoute(patterns);
+  if (shadowed !== undefined) error(shadowed);
+}
+
+/**
+ * Generate the `RouteParams` type of the manifest, which maps the path of every
+ * page route to the type of its params. Routes that share a path (because they
+ * only differ in their param matchers) get a union of their param types.
+ */
+function generateRouteParams(routes: string[], params: string[]): string {
+  const shapes = new Map<string, Set<string>>();
+  for (const file of routes.filter(isPageRoute)) {
+    const baseRoute = file.substring(1, file.length - extname(file).length);
+    const fields = pathToParams(baseRoute).map(
+      ({ name, optional, matcher }) => {
+        let type = "string";
+        const i = params.findIndex((param) =>
+          param.substring(1, param.length - extname(param).length) === matcher
+        );
+        if (i !== -1) {
+          type = `MatchedParam<typeof $$$${i}>`;
+        } else if (matcher !== undefined && matcher in BUILTIN_PARAM_MATCHERS) {
+          type = `MatchedParam<BuiltinParamMatchers[${
+            JSON.stringify(matcher)
+          }]>`;
+        }
+        const key = /^[A-Za-z_$][\w$]*$/.test(name)
+          ? name
+          : JSON.stringify(name);
+        return `${key}${optional ? "?" : ""}: ${type}`;
+      },
+    );
+    const shape = fields.length === 0
+      ? "Record<never, never>"
+      : `{ ${fields.join("; ")} }`;
+    const path = pathToRoutePath(baseRoute);
+    shapes.set(path, (shapes.get(path) ?? new Set()).add(shape));
+  }
+  return [...shapes]
+    .map(([path, types]) =>
+      `${JSON.stringify(path)}: ${[...types].join(" | ")};`
+    )
+    .join("\n  ");
 }
 
 export async function generate(directory: string, manifest: Manifest) {
-  const { routes, islands } = manifest;
+  const { routes, islands, params } = manifest;
+
+  const routeParams = generateRouteParams(routes, params);
+  const paramTypeImports = ["BuiltinParamMatchers", "MatchedParam"]
+    .filter((name) => routeParams.includes(name));
 
   const output = `// DO NOT EDIT. This file is generated by fresh.
 // This file SHOULD be checked into source version control.
 // This file is automatically updated during development when running \`dev.ts\`.
 
 import config from "./deno.json" assert { type: "json" };
+import { createRouteUrl } from "$fresh/runtime.ts";
 ${
+    paramTypeImports.length > 0
+      ? `import type { ${
+        paramTypeImports.join(", ")
+      } } from "$fresh/server.ts";\n`
+      : ""
+  }${
     routes.map((file, i) => `import * as $${i} from "./routes${file}";`).join(
       "\n",
     )
@@ -113,6 +229,10 @@ ${
     islands.map((file, i) => `import * as $$${i} from "./islands${file}";`)
       .join("\n")
   }
+${
+    params.map((file, i) => `import * as $$$${i} from "./params${file}";`)
+      .join("\n")
+  }
 
 const manifest = {
   routes: {
@@ -127,11 +247,32 @@ const manifest = {
       .join("\n    ")
   }
   },
+  params: {
+    ${
+    params.map((file, i) => `${JSON.stringify(`./params${file}`)}: $$$${i},`)
+      .join("\n    ")
+  }
+  },
   baseUrl: import.meta.url,
   config,
 };
 
 export default manifest;
+
+/**
+ * The params of every page route, by the path of the route. Use it to type the
+ * params of a page, like \`PageProps<Data, RouteParams["/books/:id"]>\`.
+ */
+export type RouteParams = {
+  ${routeParams}
+};
+
+/**
+ * Build the URL of a route from its path and params, like
+ * \`url("/books/:id", { id: 1 })\`. Links to routes that were moved or
+ * renamed are type errors. The URLs start with the \`basePath\` of the app.
+ */
+export const url = createRouteUrl<RouteParams>();
 `;
 
   const proc = Deno.run({
@@ -156,7 +297,7 @@ export default manifest;
 
   await Deno.writeTextFile(manifestPath, manifestStr);
   console.log(
-    `%cThe manifest has been generated for ${routes.length} routes and ${islands.length} islands.`,
+    `%cThe manifest has been generated for ${routes.length} routes, ${islands.length} islands and ${params.length} param matchers.`,
     "color: blue; font-weight: bold",
   );
 }
@@ -173,14 +314,16 @@ export async function dev(base: string, entrypoint: string) {
   if (prevManifest) {
     currentManifest = JSON.parse(prevManifest);
   } else {
-    currentManifest = { islands: [], routes: [] };
+    currentManifest = { islands: [], routes: [], params: [] };
   }
   const newManifest = await collect(dir);
   Deno.env.set("FRSH_DEV_PREVIOUS_MANIFEST", JSON.stringify(newManifest));
+  checkShadowedRoutes(newManifest.routes);
 
   const manifestChanged =
     !arraysEqual(newManifest.routes, currentManifest.routes) ||
-    !arraysEqual(newManifest.islands, currentManifest.islands);
+    !arraysEqual(newManifest.islands, currentManifest.islands) ||
+    !arraysEqual(newManifest.params, currentManifest.params ?? []);
 
   if (manifestChanged) await generate(dir, newManifest);
 
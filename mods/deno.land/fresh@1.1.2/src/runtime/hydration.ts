@@ -0,0 +1,105 @@
+/**
+ * When an island is hydrated:
+ *
+ * - `"load"` (default): as soon as the page is loaded.
+ * - `"idle"`: when the browser is idle.
+ * - `"visible"`: when the island scrolls into the viewport.
+ * - `"interaction"`: when the island is hovered, focused or touched.
+ * - `"media:<query>"`: when the media query matches, like
+ *   `"media:(min-width: 800px)"`.
+ *
+ * The script of an island is only loaded once it is hydrated, unless the
+ * island is also used with `"load"` on the same page.
+ */
+export type HydrationStrategy =
+  | "load"
+  | "idle"
+  | "visible"
+  | "interaction"
+  | `media:${string}`;
+
+/**
+ * The props of an island that can be hydrated lazily. Add them to the props of
+ * the island, like `props: { start: number } & HydrationProps`, to use the
+ * `hydrate` prop with it.
+ */
+export interface HydrationProps {
+  /** When the island is hydrated. Defaults to `"load"`. */
+  hydrate?: HydrationStrategy;
+}
+
+export function isHydrationStrategy(value: unknown): boolean {
+  return value === "load" || value === "idle" || value === "visible" ||
+    value === "interaction" ||
+    (typeof value === "string" && value.startsWith("media:") &&
+      value.length > "media:".length);
+}
+
+const INTERACTION_EVENTS = ["pointerenter", "focusin", "touchstart"];
+
+/**
+ * Call `hydrate` once the condition of the strategy is met. `nodes` are the
+ * server rendered nodes of the island. Returns a function that cancels the
+ * hydration if it didn't happen yet, e.g. because the island is removed.
+ */
+export function scheduleHydration(
+  strategy: HydrationStrategy | undefined,
+  nodes: Node[],
+  hydrate: () => void,
+): () => void {
+  const elements = nodes.filter((node): node is Element =>
+    node.nodeType === Node.ELEMENT_NODE
+  );
+  if (strategy === "idle") {
+    if (typeof requestIdleCallback === "function") {
+      const id = requestIdleCallback(hydrate);
+      return () => cancelIdleCallback(id);
+    }
+    const id = setTimeout(hydrate, 200);
+    return () => clearTimeout(id);
+  } else if (strategy === "visible" && elements.length > 0) {
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some((entry) => entry.isIntersecting)) {
+        observer.disconnect();
+        hydrate();
+      }
+    });
+    elements.forEach((element) => observer.observe(element));
+    return () => observer.disconnect();
+  } else if (strategy === "interaction" && elements.length > 0) {
+    const removeListeners = () => {
+      for (const element of elements) {
+        for (const type of INTERACTION_EVENTS) {
+          element.removeEventListener(type, listener);
+        }
+      }
+    };
+    const listener = () => {
+      removeListeners();
+      hydrate();
+    };
+    for (const element of elements) {
+      for (const type of INTERACTION_EVENTS) {
+        element.addEventListener(type, listener, { passive: true });
+      }
+    }
+    return removeListeners;
+  } else if (strategy?.startsWith("media:")) {
+    const query = matchMedia(strategy.slice("media:".length));
+    if (query.matches) {
+      hydrate();
+      return () => {};
+    }
+    const listener = (e: MediaQueryListEvent) => {
+      if (!e.matches) return;
+      query.removeEventListener("change", listener);
+      hydrate();
+    };
+    query.addEventListener("change", listener);
+    return () => query.removeEventListener("change", listener);
+  }
+  // Islands without elements can't be observed, so they are hydrated right
+  // away.
+  hydrate();
+  return () => {};
+}
@@ -0,0 +1,62 @@
+import { createContext, h } from "preact";
+import { useContext } from "preact/hooks";
+import { Head } from "./head.ts";
+
+/** The messages of a locale, by their key. */
+export type Messages = Record<string, string>;
+
+export interface Locale {
+  /** The language tag of the locale, like `en` or `pt-BR`. */
+  lang: string;
+  /** The direction the language is written in. */
+  dir: "ltr" | "rtl";
+  /** The message catalogue of the locale, as loaded by `i18n.messages`. */
+  messages: Messages;
+  /**
+   * The URL of the current page in every locale. The `x-default` entry points
+   * to the URL without a locale prefix.
+   */
+  alternates: { lang: string; href: string }[];
+}
+
+export const LOCALE_CONTEXT = createContext<Locale | undefined>(undefined);
+
+/**
+ * The locale of the page that is being rendered. It is only set if the
+ * `i18n` option is configured.
+ */
+export function useLocale(): Locale | undefined {
+  return useContext(LOCALE_CONTEXT);
+}
+
+/**
+ * Look up a message of a locale, and replace the `{name}` placeholders in it
+ * with the given values. Falls back to the key if there is no such message.
+ */
+export function translate(
+  locale: Locale,
+  key: string,
+  values: Record<string, string | number> = {},
+): string {
+  const message = locale.messages[key] ?? key;
+  return message.replace(
+    /\{(\w+)\}/g,
+    (placeholder, name) => name in values ? String(values[name]) : placeholder,
+  );
+}
+
+/**
+ * Add a `<link rel="alternate" hreflang>` tag to the head of the page for
+ * every locale of the app.
+ */
+export function AlternateLinks() {
+  const locale = useLocale();
+  if (locale === undefined) return null;
+  return h(
+    Head,
+    null,
+    locale.alternates.map(({ lang, href }) =>
+      h("link", { rel: "alternate", hrefLang: lang, href })
+    ),
+  );
+}
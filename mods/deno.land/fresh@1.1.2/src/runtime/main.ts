@@ -1,5 +1,7 @@
-import { ComponentType, h, options, render } from "preact";
+import { ComponentChildren, ComponentType, h, options, render } from "preact";
 import { assetHashingHook } from "./utils.ts";
+import { HydrationProps, scheduleHydration } from "./hydration.ts";
+export { enableNavigation } from "./navigation.ts";
 
 function createRootFragment(
   parent: Element,
@@ -24,31 +26,74 @@ function createRootFragment(
   };
 }
 
-// deno-lint-ignore no-explicit-any
-export function revive(islands: Record<string, ComponentType>, props: any[]) {
+const ISLAND_MARKER = /^\s*frsh-([^:]+:\d+)\s*$/;
+
+/**
+ * Hydrate the islands on the page. Islands that are only hydrated lazily are
+ * not in `islands`, their scripts are imported from `lazyIslands` once they
+ * are hydrated. Islands that are nested in the JSX props of another island are
+ * hydrated along with it.
+ *
+ * Returns a function that unmounts the islands in a range of the page, or
+ * cancels their pending hydration, before the range is replaced.
+ */
+export function revive(
+  islands: Record<string, ComponentType>,
+  // deno-lint-ignore no-explicit-any
+  props: any[],
+  lazyIslands: Record<string, string> = {},
+): (range: Range) => void {
+  const mounted: [parent: Node, nodes: Node[], unmount: () => void][] = [];
+
   function walk(node: Node | null) {
     const tag = node!.nodeType === 8 &&
-      ((node as Comment).data.match(/^\s*frsh-(.*)\s*$/) || [])[1];
+      ((node as Comment).data.match(ISLAND_MARKER) || [])[1];
     let endNode: Node | null = null;
     if (tag) {
       const startNode = node!;
-      const children = [];
+      const children: Node[] = [];
       const parent = node!.parentNode;
       // collect all children of the island
-      while ((node = node!.nextSibling) && node.nodeType !== 8) {
+      while ((node = node!.nextSibling) && !isEndMarker(node, `frsh-${tag}`)) {
         children.push(node);
       }
       startNode.parentNode!.removeChild(startNode); // remove start tag node
 
-      const [id, n] = tag.split(":");
-      render(
-        h(islands[id], props[Number(n)]),
-        createRootFragment(
+      const islandProps: HydrationProps = props[Number(tag.split(":")[1])];
+      let root: HTMLElement | undefined;
+      const hydrate = () => {
+        root = createRootFragment(
           parent! as HTMLElement,
           children,
           // deno-lint-ignore no-explicit-any
-        ) as any as HTMLElement,
-      );
+        ) as any as HTMLElement;
+        render(islandVNode(tag, children, islands, props), root);
+      };
+      let cancelled = false;
+      const cancel = scheduleHydration(islandProps?.hydrate, children, () => {
+        const missing = [tag, ...nestedIslands(children)]
+          .map((tag) => tag.split(":")[0])
+          .filter((id) => !(id in islands));
+        if (missing.length === 0) {
+          hydrate();
+          return;
+        }
+        Promise.all(
+          [...new Set(missing)].map(async (id) => {
+            islands[id] = (await import(lazyIslands[id])).default;
+          }),
+        ).then(() => {
+          if (!cancelled) hydrate();
+        }).catch((err) => {
+          console.error(`Failed to load the island "${tag}".`, err);
+        });
+      });
+      mounted.push([parent!, children, () => {
+        cancelled = true;
+        cancel();
+        // Unmounting runs the cleanup of the effects of the island.
+        if (root) render(null, root);
+      }]);
       endNode = node;
     }
 
@@ -62,6 +107,113 @@ export function revive(islands: Record<string, ComponentType>, props: any[]) {
     if (fc) walk(fc);
   }
   walk(document.body);
+
+  return (range) => {
+    for (let i = mounted.length - 1; i >= 0; i--) {
+      const [parent, nodes, unmount] = mounted[i];
+      // Islands whose parent is around the range are in it if their nodes
+      // are. Otherwise they are in it if their parent is.
+      const inRange = parent.contains(range.commonAncestorContainer)
+        ? nodes.some((node) => range.intersectsNode(node))
+        : range.intersectsNode(parent);
+      if (inRange) {
+        unmount();
+        mounted.splice(i, 1);
+      }
+    }
+  };
+}
+
+// If a node is the comment that ends the range of nodes that was started by
+// the `<!--${data}-->` comment.
+function isEndMarker(node: Node, data: string): boolean {
+  return node.nodeType === 8 && (node as Comment).data === `!--${data}--`;
+}
+
+// The markers of the islands that are nested in the slots of an island.
+function nestedIslands(nodes: Node[]): string[] {
+  const tags = [];
+  for (const node of nodes) {
+    const tag = node.nodeType === 8 &&
+      ((node as Comment).data.match(ISLAND_MARKER) || [])[1];
+    if (tag) tags.push(tag);
+    tags.push(...nestedIslands([...node.childNodes]));
+  }
+  return tags;
+}
+
+// deno-lint-ignore no-explicit-any
+type Props = Record<string, any>;
+
+/**
+ * Create the vnode of an island from its server rendered nodes. The JSX props
+ * of the island, like its children, are restored from the nodes between their
+ * slot markers.
+ */
+function islandVNode(
+  tag: string,
+  nodes: Node[],
+  islands: Record<string, ComponentType>,
+  props: Props[],
+) {
+  const [id, n] = tag.split(":");
+  const islandProps = { ...props[Number(n)] };
+  const prefix = `frsh-slot-${n}-`;
+  const findSlots = (nodes: Node[]) => {
+    for (let i = 0; i < nodes.length; i++) {
+      const data = nodes[i].nodeType === 8 && (nodes[i] as Comment).data;
+      if (data && data.startsWith(prefix)) {
+        const slot = [];
+        while (++i < nodes.length && !isEndMarker(nodes[i], data)) {
+          slot.push(nodes[i]);
+        }
+        islandProps[data.slice(prefix.length)] = toVNodes(slot, islands, props);
+      } else {
+        findSlots([...nodes[i].childNodes]);
+      }
+    }
+  };
+  findSlots(nodes);
+  return h(islands[id], islandProps);
+}
+
+// Turn server rendered nodes back into vnodes.
+function toVNodes(
+  nodes: Node[],
+  islands: Record<string, ComponentType>,
+  props: Props[],
+): ComponentChildren[] {
+  const vnodes: ComponentChildren[] = [];
+  for (let i = 0; i < nodes.length; i++) {
+    const node = nodes[i];
+    if (node.nodeType === 3) {
+      vnodes.push((node as Text).data);
+    } else if (node.nodeType === 1) {
+      const element = node as Element;
+      const attributes: Props = {};
+      for (const { name, value } of element.attributes) {
+        // Preact sets the props that an element has a property for through
+        // that property, so boolean attributes like `checked=""` are restored
+        // from their property instead of from their (empty) value.
+        const property = (element as unknown as Props)[name];
+        attributes[name] = typeof property === "boolean" ? property : value;
+      }
+      vnodes.push(h(
+        element.localName,
+        attributes,
+        toVNodes([...element.childNodes], islands, props),
+      ));
+    } else if (node.nodeType === 8) {
+      const tag = ((node as Comment).data.match(ISLAND_MARKER) || [])[1];
+      if (!tag) continue;
+      const island = [];
+      while (++i < nodes.length && !isEndMarker(nodes[i], `frsh-${tag}`)) {
+        island.push(nodes[i]);
+      }
+      vnodes.push(islandVNode(tag, island, islands, props));
+    }
+  }
+  return vnodes;
 }
 
 const originalHook = options.vnode;
@@ -1,2 +1,2 @@
 import "preact/debug";
-export { revive } from "./main.ts";
+export { enableNavigation, revive } from "./main.ts";
@@ -0,0 +1,205 @@
+import { ComponentType } from "preact";
+import { PARTIAL_HEADER } from "./utils.ts";
+
+/** The response to a request for a partial render of a page. */
+export interface PartialPage {
+  /** The HTML of the `<Head>` components of the page. */
+  head: string;
+  /** Style tags with the styles of the page. */
+  styles: string;
+  /** The HTML of the route, without the app around it. */
+  body: string;
+  lang: string;
+  dir?: "ltr" | "rtl";
+  state: [islands: unknown[], plugins: unknown[]];
+  /** The URL of the script of every island on the page, by island id. */
+  islands: Record<string, string>;
+  /** The URLs of the scripts of the islands that are only hydrated lazily. */
+  lazyIslands: Record<string, string>;
+  /** The URLs of the plugin scripts, in the order of their plugin state. */
+  plugins: string[];
+}
+
+// Unmounts the islands in a range of the page, or cancels their pending
+// hydration.
+type UnmountIslands = (range: Range) => void;
+
+type Revive = (
+  islands: Record<string, ComponentType>,
+  // deno-lint-ignore no-explicit-any
+  props: any[],
+  lazyIslands: Record<string, string>,
+) => UnmountIslands;
+
+/**
+ * Follow links to other pages of the app by swapping in a partial render of
+ * the page, instead of loading the whole document. Links with a
+ * `data-frsh-reload` attribute are loaded in full. The scroll position of
+ * every history entry is kept in its state, and restored when going back or
+ * forward.
+ *
+ * @param unmount Unmounts the islands of the page that was loaded.
+ */
+export function enableNavigation(revive: Revive, unmount?: UnmountIslands) {
+  current = new URL(location.href);
+  unmountIslands = unmount ?? (() => {});
+  history.scrollRestoration = "manual";
+  let saveTimer: number | undefined;
+  addEventListener("scroll", () => {
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(saveScroll, 100);
+  }, { passive: true });
+
+  document.addEventListener("click", (e) => {
+    if (
+      e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey ||
+      e.shiftKey || e.altKey
+    ) {
+      return;
+    }
+    const link = (e.target as Element | null)?.closest?.("a");
+    if (
+      !link || (link.target && link.target !== "_self") ||
+      link.hasAttribute("download") || link.hasAttribute("data-frsh-reload")
+    ) {
+      return;
+    }
+    const url = new URL(link.href, location.href);
+    if (url.origin !== location.origin) return;
+    // Let the browser scroll to anchors on the current page.
+    if (
+      url.hash && url.pathname === location.pathname &&
+      url.search === location.search
+    ) {
+      return;
+    }
+    e.preventDefault();
+    clearTimeout(saveTimer);
+    saveScroll();
+    navigate(url, revive, true);
+  });
+  addEventListener("popstate", (e) => {
+    // The scroll position is not saved anymore once the entry was left.
+    clearTimeout(saveTimer);
+    const url = new URL(location.href);
+    const scrollY: number | undefined = e.state?.scrollY;
+    // Entries that only differ in their hash show the same page.
+    if (url.pathname === current.pathname && url.search === current.search) {
+      current = url;
+      restoreScroll(url, scrollY);
+      return;
+    }
+    navigate(url, revive, false, scrollY);
+  });
+}
+
+// The URL of the page that is shown, which changes when navigating.
+let current: URL;
+// Unmounts the islands of the page that is shown.
+let unmountIslands: UnmountIslands;
+
+function saveScroll() {
+  history.replaceState({ ...history.state, scrollY }, "");
+}
+
+// Scroll to the saved scroll position of a history entry, or to the element
+// of the hash of the URL if there is none.
+function restoreScroll(url: URL, scrollY?: number) {
+  if (scrollY !== undefined) {
+    scrollTo(0, scrollY);
+    return;
+  }
+  const target = url.hash &&
+    document.getElementById(decodeURIComponent(url.hash.slice(1)));
+  if (target) target.scrollIntoView();
+  else scrollTo(0, 0);
+}
+
+async function navigate(
+  url: URL,
+  revive: Revive,
+  push: boolean,
+  scrollY?: number,
+) {
+  let page: PartialPage;
+  let islands: Record<string, ComponentType>;
+  let plugins: ((state: unknown) => void)[];
+  try {
+    const res = await fetch(url, { headers: { [PARTIAL_HEADER]: "1" } });
+    // Responses that are not partial pages, like redirects to other sites or
+    // pages with a content security policy, are loaded in full.
+    if (!res.headers.get("content-type")?.startsWith("application/json")) {
+      throw new Error("Not a partial page.");
+    }
+    page = await res.json();
+    // Redirects are followed, but the fragment of the link is kept.
+    const { hash } = url;
+    url = new URL(res.url);
+    url.hash = hash;
+    // Load the scripts before swapping, so that the page doesn't flash
+    // without working islands.
+    const [islandModules, pluginModules] = await Promise.all([
+      Promise.all(Object.values(page.islands).map((src) => import(src))),
+      Promise.all(page.plugins.map((src) => import(src))),
+    ]);
+    islands = Object.fromEntries(
+      Object.keys(page.islands).map((id, i) => [id, islandModules[i].default]),
+    );
+    plugins = pluginModules.map((mod) => mod.default);
+  } catch {
+    location.href = url.href;
+    return;
+  }
+
+  const head = markedRange(document.head, "__FRSH_HEAD");
+  const styles = markedRange(document.head, "__FRSH_STYLES");
+  const body = markedRange(document.body, "__FRSH_PARTIAL");
+  if (head === null || styles === null || body === null) {
+    location.href = url.href;
+    return;
+  }
+
+  if (push) history.pushState(null, "", url);
+  current = url;
+  document.documentElement.lang = page.lang;
+  if (page.dir) document.documentElement.dir = page.dir;
+  replaceContents(head, page.head);
+  // The styles of the new page replace the ones of the old page.
+  replaceContents(styles, page.styles);
+  // The islands of the old page are unmounted, and its lazy islands must not
+  // be hydrated once they are removed.
+  unmountIslands(body);
+  replaceContents(body, page.body);
+  // The islands that were revived before have no markers anymore, so only the
+  // islands of the new page are revived.
+  unmountIslands = revive(islands, page.state[0], page.lazyIslands);
+  plugins.forEach((plugin, i) => plugin(page.state[1][i]));
+  restoreScroll(url, scrollY);
+}
+
+// The range between the `<!--name-->` and `</!--name-->` markers in the page.
+function markedRange(root: Node, name: string): Range | null {
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_COMMENT);
+  let start = walker.nextNode();
+  while (start && (start as Comment).data !== name) {
+    start = walker.nextNode();
+  }
+  let end = start?.nextSibling ?? null;
+  while (
+    end &&
+    !(end.nodeType === Node.COMMENT_NODE &&
+      (end as Comment).data === `!--${name}--`)
+  ) {
+    end = end.nextSibling;
+  }
+  if (!start || !end) return null;
+  const range = document.createRange();
+  range.setStartAfter(start);
+  range.setEndBefore(end);
+  return range;
+}
+
+function replaceContents(range: Range, html: string) {
+  range.deleteContents();
+  range.insertNode(range.createContextualFragment(html));
+}
@@ -0,0 +1,44 @@
+import { ComponentChildren, createContext, VNode } from "preact";
+import { useContext } from "preact/hooks";
+
+export interface SuspenseProps {
+  /** Rendered in place of the children while they are suspended. */
+  fallback?: ComponentChildren;
+  children: ComponentChildren;
+}
+
+/**
+ * Renders the children of a `<Suspense>` boundary to a vnode. This is provided
+ * by the server renderer.
+ */
+export type SuspenseRenderer = (
+  children: ComponentChildren,
+  fallback: ComponentChildren,
+  context: Record<string, unknown>,
+) => VNode;
+
+export const SUSPENSE_CONTEXT = createContext<SuspenseRenderer | undefined>(
+  undefined,
+);
+
+/**
+ * A boundary for components that throw a promise while their data is loading.
+ * The fallback is sent to the browser with the rest of the page, and the
+ * children are streamed in to replace it once the promise resolves. If they
+ * don't render within the `suspenseTimeout` option, the fallback stays.
+ *
+ * The head of the page is sent before the children are rendered, so `<Head>`
+ * components in the children are ignored.
+ */
+export function Suspense(
+  props: SuspenseProps,
+  context: Record<string, unknown>,
+) {
+  const render = useContext(SUSPENSE_CONTEXT);
+  if (render === undefined) {
+    throw new Error(
+      "<Suspense> component is only supported when rendering on the server.",
+    );
+  }
+  return render(props.children, props.fallback, context);
+}
@@ -2,13 +2,27 @@ import { VNode } from "preact";
 
 export const INTERNAL_PREFIX = "/_frsh";
 export const ASSET_CACHE_BUST_KEY = "__frsh_c";
+/** The request header that asks for a partial render of a page. */
+export const PARTIAL_HEADER = "X-Fresh-Partial";
 
 export const IS_BROWSER = typeof document !== "undefined";
 
+/**
+ * The `basePath` the app is served under. It is defined by the bundler in the
+ * browser, and by the server context on the server.
+ */
+function basePath(): string {
+  return typeof __FRSH_BASE_PATH === "string" ? __FRSH_BASE_PATH : "";
+}
+
 /**
  * Create a "locked" asset path. This differs from a plain path in that it is
  * specific to the current version of the application, and as such can be safely
  * served with a very long cache lifetime (1 year).
+ *
+ * If the app is served under a `basePath`, it is prepended to the path in the
+ * browser. On the server, it is prepended by the render of the page, to the
+ * asset paths in the props of the elements and islands on it.
  */
 export function asset(path: string) {
   if (!path.startsWith("/") || path.startsWith("//")) return path;
@@ -21,7 +35,8 @@ export function asset(path: string) {
       return path;
     }
     url.searchParams.set(ASSET_CACHE_BUST_KEY, __FRSH_BUILD_ID);
-    return url.pathname + url.search + url.hash;
+    return (IS_BROWSER ? basePath() : "") + url.pathname + url.search +
+      url.hash;
   } catch (err) {
     console.warn(
       `Failed to create asset() URL, falling back to regular path ('${path}'):`,
@@ -31,6 +46,61 @@ export function asset(path: string) {
   }
 }
 
+/**
+ * Build the URL of a route from its path, like `/books/:id`, and the values of
+ * its params. Optional (`:lang?`) and catch-all (`:path*`) params may be
+ * omitted. If the app is served under a `basePath`, it is prepended to the URL.
+ * A different base path can be passed as `base`.
+ *
+ * Use the typed `url()` helper from `fresh.gen.ts` instead of calling this
+ * function directly.
+ */
+export function routeUrl(
+  path: string,
+  params: Record<string, unknown> = {},
+  base = basePath(),
+): string {
+  const pathname = path.replace(
+    /\/:([^/?*]+)([?*]?)/g,
+    (_, name: string, modifier: string) => {
+      const value = params[name];
+      if (value === undefined || value === "") {
+        if (modifier === "") {
+          throw new TypeError(`Missing param '${name}' ('${path}').`);
+        }
+        return "";
+      }
+      const segments = modifier === "*"
+        ? String(value).split("/")
+        : [String(value)];
+      return "/" + segments.map(encodeURIComponent).join("/");
+    },
+  );
+  if (pathname === "" || pathname === "/") return base || "/";
+  return base + pathname;
+}
+
+/**
+ * Create a `url()` function that only accepts the paths of the given routes,
+ * together with the params of that route. Used by `fresh.gen.ts`.
+ *
+ * The URLs start with the `basePath` of the app. If several apps are served
+ * from one process, pass the base path of the app that the URLs link to.
+ */
+export function createRouteUrl<Routes>(base?: string) {
+  return <Path extends keyof Routes & string>(
+    path: Path,
+    ...[params]: Record<never, never> extends Routes[Path]
+      ? [params?: Routes[Path]]
+      : [params: Routes[Path]]
+  ): string =>
+    routeUrl(
+      path,
+      params as Record<string, unknown> | undefined,
+      base ?? basePath(),
+    );
+}
+
 /** Apply the `asset` function to urls in a `srcset` attribute. */
 export function assetSrcSet(srcset: string): string {
   if (srcset.includes("(")) return srcset; // Bail if the srcset contains complicated syntax.
@@ -33,6 +33,14 @@ async function ensureEsbuildInitialized() {
   }
 }
 
+/** Stop the esbuild service, so that the process can exit. */
+export function stopEsbuild() {
+  if (esbuildInitialized === true) {
+    esbuild.stop();
+    esbuildInitialized = false;
+  }
+}
+
 const JSX_RUNTIME_MODE = {
   "react": "transform",
   "react-jsx": "automatic",
@@ -44,7 +52,9 @@ export class Bundler {
   #islands: Island[];
   #plugins: Plugin[];
   #cache: Map<string, Uint8Array> | Promise<void> | undefined = undefined;
+  #preloads = new Map<string, string[]>();
   #dev: boolean;
+  #basePath: string;
 
   constructor(
     islands: Island[],
@@ -52,12 +62,14 @@ export class Bundler {
     importMapURL: URL,
     jsxConfig: JSXConfig,
     dev: boolean,
+    basePath = "",
   ) {
     this.#islands = islands;
     this.#plugins = plugins;
     this.#importMapURL = importMapURL;
     this.#jsxConfig = jsxConfig;
     this.#dev = dev;
+    this.#basePath = basePath;
   }
 
   async bundle() {
@@ -86,7 +98,10 @@ export class Bundler {
       : { minify: true };
     const bundle = await esbuild.build({
       bundle: true,
-      define: { __FRSH_BUILD_ID: `"${BUILD_ID}"` },
+      define: {
+        __FRSH_BUILD_ID: `"${BUILD_ID}"`,
+        __FRSH_BASE_PATH: JSON.stringify(this.#basePath),
+      },
       entryPoints,
       format: "esm",
       metafile: true,
@@ -106,15 +121,18 @@ export class Bundler {
       jsx: JSX_RUNTIME_MODE[this.#jsxConfig.jsx],
       jsxImportSource: this.#jsxConfig.jsxImportSource,
     });
-    // const metafileOutputs = bundle.metafile!.outputs;
-
-    // for (const path in metafileOutputs) {
-    //   const meta = metafileOutputs[path];
-    //   const imports = meta.imports
-    //     .filter(({ kind }) => kind === "import-statement")
-    //     .map(({ path }) => `/${path}`);
-    //   this.#preloads.set(`/${path}`, imports);
-    // }
+    const imports = new Map<string, string[]>();
+    for (const [path, meta] of Object.entries(bundle.metafile!.outputs)) {
+      imports.set(
+        `/${path}`,
+        meta.imports
+          .filter(({ kind }) => kind === "import-statement")
+          .map(({ path }) => `/${path}`),
+      );
+    }
+    this.#preloads = new Map(
+      [...imports.keys()].map((path) => [path, staticImports(path, imports)]),
+    );
 
     const cache = new Map<string, Uint8Array>();
     const absDirUrlLength = toFileUrl(absWorkingDir).href.length;
@@ -144,7 +162,26 @@ export class Bundler {
     return cache.get(path) ?? null;
   }
 
-  // getPreloads(path: string): string[] {
-  //   return this.#preloads.get(path) ?? [];
-  // }
+  /**
+   * The chunks that a bundle imports statically, including the chunks that
+   * those import, in the order in which they are first imported. They are
+   * read from the metafile of the bundle, so there are none until the bundle
+   * was built, which happens when the first script is requested.
+   */
+  getPreloads(path: string): string[] {
+    return this.#preloads.get(path) ?? [];
+  }
+}
+
+function staticImports(
+  path: string,
+  imports: Map<string, string[]>,
+  seen = new Set<string>(),
+): string[] {
+  for (const dependency of imports.get(path) ?? []) {
+    if (seen.has(dependency)) continue;
+    seen.add(dependency);
+    staticImports(dependency, imports, seen);
+  }
+  return [...seen];
 }
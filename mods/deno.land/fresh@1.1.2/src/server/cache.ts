@@ -0,0 +1,327 @@
+import { fromFileUrl, join } from "./deps.ts";
+import { CachedResponse, RenderCacheStore } from "./types.ts";
+import { PARTIAL_HEADER } from "../runtime/utils.ts";
+
+/** Keeps the most recently used responses in memory. */
+export class MemoryCacheStore implements RenderCacheStore {
+  #entries = new Map<string, CachedResponse>();
+  #maxEntries: number;
+
+  constructor(maxEntries = 500) {
+    this.#maxEntries = checkMaxEntries(maxEntries);
+  }
+
+  get(key: string): CachedResponse | undefined {
+    const entry = this.#entries.get(key);
+    if (entry !== undefined) {
+      // Maps are ordered by insertion, so move the entry to the end.
+      this.#entries.delete(key);
+      this.#entries.set(key, entry);
+    }
+    return entry;
+  }
+
+  set(key: string, response: CachedResponse) {
+    this.#entries.delete(key);
+    this.#entries.set(key, response);
+    if (this.#entries.size > this.#maxEntries) {
+      this.#entries.delete(this.#entries.keys().next().value!);
+    }
+  }
+
+  delete(key: string) {
+    this.#entries.delete(key);
+  }
+}
+
+/**
+ * Stores responses as files in a directory, so that they are kept when the
+ * server restarts. Only the most recently used responses are kept.
+ */
+export class FileCacheStore implements RenderCacheStore {
+  #dir: string;
+  #maxEntries: number;
+  // The names of the files in the directory, from the least to the most
+  // recently used. The directory is only read once, on first use.
+  #files?: Promise<Set<string>>;
+
+  constructor(dir: string | URL, maxEntries = 500) {
+    this.#dir = dir instanceof URL ? fromFileUrl(dir) : dir;
+    this.#maxEntries = checkMaxEntries(maxEntries);
+  }
+
+  async get(key: string): Promise<CachedResponse | undefined> {
+    const name = await fileName(key);
+    let data;
+    try {
+      data = await Deno.readFile(join(this.#dir, name));
+    } catch (err) {
+      if (err instanceof Deno.errors.NotFound) return undefined;
+      throw err;
+    }
+    const files = await this.#list();
+    files.delete(name);
+    files.add(name);
+    // The file is a line of JSON with the metadata, followed by the body.
+    const end = data.indexOf(0x0a);
+    const meta = JSON.parse(new TextDecoder().decode(data.subarray(0, end)));
+    return { ...meta, body: data.subarray(end + 1) };
+  }
+
+  async set(key: string, { body, ...meta }: CachedResponse) {
+    const head = new TextEncoder().encode(JSON.stringify(meta) + "\n");
+    const data = new Uint8Array(head.length + body.length);
+    data.set(head);
+    data.set(body, head.length);
+    await Deno.mkdir(this.#dir, { recursive: true });
+    // Write to a temporary file first, so that concurrent reads never see a
+    // partially written response.
+    const name = await fileName(key);
+    const path = join(this.#dir, name);
+    const tmp = `${path}.${crypto.randomUUID()}.tmp`;
+    await Deno.writeFile(tmp, data);
+    await Deno.rename(tmp, path);
+
+    const files = await this.#list();
+    files.delete(name);
+    files.add(name);
+    while (files.size > this.#maxEntries) {
+      const oldest = files.values().next().value!;
+      files.delete(oldest);
+      await this.#remove(oldest);
+    }
+  }
+
+  async delete(key: string) {
+    const name = await fileName(key);
+    (await this.#list()).delete(name);
+    await this.#remove(name);
+  }
+
+  async #remove(name: string) {
+    try {
+      await Deno.remove(join(this.#dir, name));
+    } catch (err) {
+      if (!(err instanceof Deno.errors.NotFound)) throw err;
+    }
+  }
+
+  #list(): Promise<Set<string>> {
+    this.#files ??= (async () => {
+      const files: [name: string, mtime: number][] = [];
+      try {
+        for await (const entry of Deno.readDir(this.#dir)) {
+          if (!entry.isFile || entry.name.endsWith(".tmp")) continue;
+          const { mtime } = await Deno.stat(join(this.#dir, entry.name));
+          files.push([entry.name, mtime?.getTime() ?? 0]);
+        }
+      } catch (err) {
+        if (!(err instanceof Deno.errors.NotFound)) throw err;
+      }
+      files.sort((a, b) => a[1] - b[1]);
+      return new Set(files.map(([name]) => name));
+    })();
+    // Read the directory again on the next call if it failed.
+    this.#files.catch(() => this.#files = undefined);
+    return this.#files;
+  }
+}
+
+function checkMaxEntries(maxEntries: number): number {
+  if (!Number.isInteger(maxEntries) || maxEntries < 1) {
+    throw new TypeError(
+      `The size of the cache must be a positive integer ('${maxEntries}').`,
+    );
+  }
+  return maxEntries;
+}
+
+// The name of the file of a cache key.
+async function fileName(key: string): Promise<string> {
+  const hash = await crypto.subtle.digest(
+    "SHA-256",
+    new TextEncoder().encode(key),
+  );
+  return Array.from(new Uint8Array(hash))
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+export interface CachePolicy {
+  /** For how many seconds a response is fresh. */
+  revalidate: number;
+  /** The lowercased request headers that the responses vary by. */
+  varyHeaders: string[];
+  /**
+   * If the responses vary by the whole query string (`true`), by some query
+   * params, or not at all (`false`).
+   */
+  query: boolean | string[];
+}
+
+// How many revalidated pages are remembered. The responses of the pages that
+// were revalidated before are only served as stale ones afterwards.
+const MAX_REVALIDATED = 1000;
+
+/**
+ * Serves the responses of routes with a `revalidate` config from a store. Stale
+ * responses are served while the page is rendered again in the background.
+ */
+export class RenderCache {
+  #store: RenderCacheStore;
+  #basePath: string;
+  // When the pages were last revalidated with `revalidate()`, by their path,
+  // from the least to the most recently revalidated.
+  #revalidated = new Map<string, number>();
+  // The keys of the responses that are being rendered in the background.
+  #pending = new Set<string>();
+  // The responses that are being stored, by their key.
+  #storing = new Map<string, Promise<void>>();
+
+  constructor(store: RenderCacheStore, basePath: string) {
+    this.#store = store;
+    this.#basePath = basePath;
+  }
+
+  /** Mark the cached responses of a page as stale. */
+  revalidate(path: string) {
+    path = trimTrailingSlash(path);
+    this.#revalidated.delete(path);
+    this.#revalidated.set(path, Date.now());
+    if (this.#revalidated.size > MAX_REVALIDATED) {
+      this.#revalidated.delete(this.#revalidated.keys().next().value!);
+    }
+  }
+
+  /**
+   * Respond to a request from the cache, or with the response of `render` if
+   * there is no fresh enough response in the cache.
+   */
+  async respond(
+    req: Request,
+    lang: string | undefined,
+    policy: CachePolicy,
+    render: () => Response | Promise<Response>,
+  ): Promise<Response> {
+    const url = new URL(req.url);
+    const key = JSON.stringify([
+      lang ?? "",
+      url.host + url.pathname,
+      policy.query === true
+        ? url.search
+        : policy.query === false
+        ? ""
+        : policy.query.map((name) => url.searchParams.getAll(name)),
+      req.headers.has(PARTIAL_HEADER),
+      ...policy.varyHeaders.map((name) => req.headers.get(name)),
+    ]);
+    const revalidatedAt = this.#revalidated.get(
+      trimTrailingSlash(url.pathname.slice(this.#basePath.length)),
+    ) ?? -Infinity;
+
+    // Wait for a response that is being stored, instead of rendering it again.
+    await this.#storing.get(key)?.catch(() => {});
+    const cached = await this.#store.get(key);
+    if (cached !== undefined && cached.createdAt > revalidatedAt) {
+      const stale = Date.now() - cached.createdAt > policy.revalidate * 1000;
+      if (stale && !this.#pending.has(key)) {
+        this.#pending.add(key);
+        this.#render(key, render, true)
+          .then(([res, stored]) => {
+            // Nobody reads the body of the response, only its copy is stored.
+            res.body?.cancel();
+            return stored;
+          })
+          .catch((err) => {
+            console.error(
+              "%cAn error occurred while revalidating a cached page.",
+              "color:red",
+              err,
+            );
+          })
+          .finally(() => this.#pending.delete(key));
+      }
+      return toResponse(cached, stale ? "STALE" : "HIT");
+    }
+
+    const [res, stored] = await this.#render(key, render);
+    stored.catch((err) => {
+      console.error(
+        "%cAn error occurred while caching a page.",
+        "color:red",
+        err,
+      );
+    });
+    return res;
+  }
+
+  /**
+   * Render a response, and store it if it can be cached. Otherwise any earlier
+   * response is removed, e.g. because the page doesn't exist anymore. When a
+   * stale response is revalidated, it is kept if the page fails to render, and
+   * served until the page renders again.
+   *
+   * The body of a cacheable response is streamed to the returned response, and
+   * a copy of it is stored once it is complete. The returned promise settles
+   * when the copy is stored.
+   */
+  async #render(
+    key: string,
+    render: () => Response | Promise<Response>,
+    revalidating = false,
+  ): Promise<[res: Response, stored: Promise<void>]> {
+    // Pages that are revalidated while they render must be rendered again.
+    const createdAt = Date.now();
+    const res = await render();
+    if (res.status !== 200 && revalidating) {
+      return [res, Promise.resolve()];
+    }
+    const cacheControl = res.headers.get("cache-control") ?? "";
+    if (
+      res.status !== 200 || res.headers.has("set-cookie") ||
+      /\b(no-store|private)\b/.test(cacheControl) || hasNonce(res.headers)
+    ) {
+      await this.#store.delete?.(key);
+      return [res, Promise.resolve()];
+    }
+    const [body, copy] = res.body?.tee() ?? [null, null];
+    const stored = new Response(copy).arrayBuffer()
+      .then((buffer) =>
+        this.#store.set(key, {
+          status: res.status,
+          headers: [...res.headers],
+          body: new Uint8Array(buffer),
+          createdAt,
+        })
+      )
+      .finally(() => {
+        if (this.#storing.get(key) === stored) this.#storing.delete(key);
+      });
+    this.#storing.set(key, stored);
+    const headers = new Headers(res.headers);
+    headers.set("x-fresh-cache", "MISS");
+    return [new Response(body, { status: res.status, headers }), stored];
+  }
+}
+
+function toResponse(
+  { status, headers, body }: CachedResponse,
+  state: "HIT" | "STALE",
+): Response {
+  const res = new Response(body, { status, headers });
+  res.headers.set("x-fresh-cache", state);
+  return res;
+}
+
+// If the content security policy of a response allows scripts by a nonce.
+// Nonces must be unique for every response, so these are not cached.
+function hasNonce(headers: Headers): boolean {
+  const policy = (headers.get("content-security-policy") ?? "") +
+    (headers.get("content-security-policy-report-only") ?? "");
+  return policy.includes("'nonce-");
+}
+
+function trimTrailingSlash(path: string): string {
+  if (path === "") return "/";
+  return path.length > 1 && path.endsWith("/") ? path.slice(0, -1) : path;
+}
@@ -0,0 +1,64 @@
+import { MemoryCacheStore, RenderCache } from "./cache.ts";
+import { assertEquals, delay } from "../../tests/deps.ts";
+
+const policy = { revalidate: 0, varyHeaders: [], query: false };
+const req = new Request("https://fresh.deno.dev/page");
+
+async function respond(
+  cache: RenderCache,
+  render: () => Response,
+  revalidate = policy.revalidate,
+): Promise<[state: string | null, body: string]> {
+  const res = await cache.respond(
+    req,
+    undefined,
+    { ...policy, revalidate },
+    render,
+  );
+  return [res.headers.get("x-fresh-cache"), await res.text()];
+}
+
+Deno.test("stale responses are served until the page renders again", async () => {
+  const cache = new RenderCache(new MemoryCacheStore(), "");
+  assertEquals(await respond(cache, () => new Response("a")), ["MISS", "a"]);
+  await delay(5);
+
+  const failed = () => new Response("error", { status: 500 });
+  assertEquals(await respond(cache, failed), ["STALE", "a"]);
+  await delay(5);
+  assertEquals(await respond(cache, failed), ["STALE", "a"]);
+  await delay(5);
+
+  assertEquals(await respond(cache, () => new Response("b")), ["STALE", "a"]);
+  await delay(5);
+  assertEquals(await respond(cache, () => new Response("c")), ["STALE", "b"]);
+});
+
+Deno.test("responses with a nonce in their policy are not cached", async () => {
+  const cache = new RenderCache(new MemoryCacheStore(), "");
+  let renders = 0;
+  const render = () =>
+    new Response(`render ${++renders}`, {
+      headers: {
+        "content-security-policy": `script-src 'nonce-${renders}'`,
+      },
+    });
+  assertEquals(await respond(cache, render, 60), [null, "render 1"]);
+  assertEquals(await respond(cache, render, 60), [null, "render 2"]);
+});
+
+Deno.test("only the most recently revalidated pages are remembered", async () => {
+  const cache = new RenderCache(new MemoryCacheStore(), "");
+  const render = () => new Response("a");
+  assertEquals(await respond(cache, render, 60), ["MISS", "a"]);
+  await delay(5);
+
+  cache.revalidate("/page");
+  assertEquals(await respond(cache, render, 60), ["MISS", "a"]);
+  await delay(5);
+
+  cache.revalidate("/page");
+  for (let i = 0; i < 1000; i++) cache.revalidate(`/other/${i}`);
+  // The revalidation of the page is forgotten, so the response is fresh.
+  assertEquals(await respond(cache, render, 60), ["HIT", "a"]);
+});
@@ -7,8 +7,8 @@ export const BUILD_ID = Deno.env.get("DENO_DEPLOYMENT_ID") ||
 export const JS_PREFIX = `/js`;
 export const DEBUG = !Deno.env.get("DENO_DEPLOYMENT_ID");
 
-export function bundleAssetUrl(path: string) {
-  return `${INTERNAL_PREFIX}${JS_PREFIX}/${BUILD_ID}${path}`;
+export function bundleAssetUrl(path: string, basePath = "") {
+  return `${basePath}${INTERNAL_PREFIX}${JS_PREFIX}/${BUILD_ID}${path}`;
 }
 
 globalThis.__FRSH_BUILD_ID = BUILD_ID;
@@ -20,4 +20,8 @@ declare global {
 
   // deno-lint-ignore no-var
   var __FRSH_BUILD_ID: string;
+  // Defined by the bundler in the browser, and by the server context on the
+  // server, for the `url()` helper.
+  // deno-lint-ignore no-var
+  var __FRSH_BASE_PATH: string | undefined;
 }
@@ -3,7 +3,6 @@ import {
   extname,
   fromFileUrl,
   RequestHandler,
-  rutt,
   Status,
   toFileUrl,
   typeByExtension,
@@ -12,30 +11,70 @@ import {
 import { h } from "preact";
 import { Manifest } from "./mod.ts";
 import { Bundler, JSXConfig } from "./bundle.ts";
-import { ALIVE_URL, BUILD_ID, JS_PREFIX, REFRESH_JS_URL } from "./constants.ts";
+import {
+  ALIVE_URL,
+  BUILD_ID,
+  bundleAssetUrl,
+  JS_PREFIX,
+  REFRESH_JS_URL,
+} from "./constants.ts";
 import DefaultErrorHandler from "./default_error_page.ts";
 import {
   AppModule,
+  AppProps,
+  BadRequestHandler,
   ErrorPage,
   ErrorPageModule,
   FreshOptions,
   Handler,
   Island,
+  Layout,
+  LayoutModule,
   Middleware,
+  MiddlewareHandler,
+  MiddlewareHandlerContext,
   MiddlewareModule,
   MiddlewareRoute,
+  ParamMatcher,
   Plugin,
+  Redirect,
   RenderFunction,
+  RenderResponseOptions,
+  Rewrite,
   Route,
   RouteModule,
+  TrailingSlash,
   UnknownPage,
   UnknownPageModule,
 } from "./types.ts";
 import { render as internalRender } from "./render.ts";
+import * as router from "./router.ts";
+import { BUILTIN_PARAM_MATCHERS } from "./params.ts";
+import { LocaleRouter, withLocaleVary } from "./i18n.ts";
+import { MemoryCacheStore, RenderCache } from "./cache.ts";
+import {
+  findShadowedRoute,
+  isHostnameSegment,
+  isRouteGroup,
+  pathToHostname,
+  pathToMatchers,
+  pathToPattern,
+  pathToRoutePath,
+  sortRoutes,
+  splitPattern,
+} from "./patterns.ts";
 import { ContentSecurityPolicyDirectives, SELF } from "../runtime/csp.ts";
-import { ASSET_CACHE_BUST_KEY, INTERNAL_PREFIX } from "../runtime/utils.ts";
+import { Locale } from "../runtime/i18n.ts";
+import {
+  ASSET_CACHE_BUST_KEY,
+  INTERNAL_PREFIX,
+  PARTIAL_HEADER,
+  routeUrl,
+} from "../runtime/utils.ts";
 interface RouterState {
   state: Record<string, unknown>;
+  locale?: Locale;
+  revalidate: (path: string) => void;
 }
 
 interface StaticFile {
@@ -51,6 +90,21 @@ interface StaticFile {
   etag: string;
 }
 
+/**
+ * The options of a server context that are not part of the manifest. These are
+ * the `FreshOptions`, without the ones that are read by `fromManifest()`.
+ */
+export type ServerContextOptions = Omit<
+  FreshOptions,
+  "render" | "plugins" | "staticDir"
+>;
+
+export interface ExportedFile {
+  /** The URL path of the file, relative to the base path. */
+  path: string;
+  contents: Uint8Array;
+}
+
 export class ServerContext {
   #dev: boolean;
   #routes: Route[];
@@ -60,9 +114,22 @@ export class ServerContext {
   #renderFn: RenderFunction;
   #middlewares: MiddlewareRoute[];
   #app: AppModule;
-  #notFound: UnknownPage;
-  #error: ErrorPage;
+  #notFound: UnknownPage[];
+  #error: ErrorPage[];
   #plugins: Plugin[];
+  #trailingSlash: TrailingSlash;
+  #permanentTrailingSlashRedirect: boolean;
+  #basePath: string;
+  #redirects: Redirect[];
+  #rewrites: Rewrite[];
+  #badRequest?: BadRequestHandler;
+  #partialNavigation: boolean;
+  #localeRouter?: LocaleRouter;
+  #renderCache: RenderCache;
+  #preloadLinkHeader: boolean;
+  #suspenseTimeout: number;
+  // The file URLs of the routes, by the internal route that serves them.
+  #routeUrls = new WeakMap<router.InternalRoute<RouterState>, string>();
 
   constructor(
     routes: Route[],
@@ -71,12 +138,27 @@ export class ServerContext {
     renderfn: RenderFunction,
     middlewares: MiddlewareRoute[],
     app: AppModule,
-    notFound: UnknownPage,
-    error: ErrorPage,
+    notFound: UnknownPage[],
+    error: ErrorPage[],
     plugins: Plugin[],
     importMapURL: URL,
     jsxConfig: JSXConfig,
+    options: ServerContextOptions = {},
+    dev = typeof Deno.env.get("DENO_DEPLOYMENT_ID") !== "string", // Env var is only set in prod (on Deploy).
   ) {
+    const {
+      trailingSlash = "never",
+      permanentTrailingSlashRedirect = false,
+      basePath = "",
+      redirects = [],
+      rewrites = [],
+      badRequest,
+      partialNavigation = false,
+      i18n,
+      renderCache = new MemoryCacheStore(),
+      preloadLinkHeader = false,
+      suspenseTimeout = 10000,
+    } = options;
     this.#routes = routes;
     this.#islands = islands;
     this.#staticFiles = staticFiles;
@@ -86,22 +168,46 @@ export class ServerContext {
     this.#notFound = notFound;
     this.#error = error;
     this.#plugins = plugins;
-    this.#dev = typeof Deno.env.get("DENO_DEPLOYMENT_ID") !== "string"; // Env var is only set in prod (on Deploy).
+    this.#trailingSlash = trailingSlash;
+    this.#permanentTrailingSlashRedirect = permanentTrailingSlashRedirect;
+    this.#basePath = normalizeBasePath(basePath);
+    // Like `__FRSH_BUILD_ID`, this is shared by all server contexts in the
+    // process. The render of a page passes its own base path to `asset()`.
+    globalThis.__FRSH_BASE_PATH = this.#basePath;
+    this.#redirects = redirects;
+    this.#rewrites = rewrites;
+    this.#badRequest = badRequest;
+    this.#partialNavigation = partialNavigation;
+    this.#localeRouter = i18n && new LocaleRouter(i18n, this.#basePath);
+    this.#renderCache = new RenderCache(renderCache, this.#basePath);
+    this.#preloadLinkHeader = preloadLinkHeader;
+    if (!(typeof suspenseTimeout === "number" && suspenseTimeout > 0)) {
+      throw new TypeError(
+        `The 'suspenseTimeout' option must be a positive number of milliseconds ('${suspenseTimeout}').`,
+      );
+    }
+    this.#suspenseTimeout = suspenseTimeout;
+    this.#dev = dev;
     this.#bundler = new Bundler(
       this.#islands,
       this.#plugins,
       importMapURL,
       jsxConfig,
       this.#dev,
+      this.#basePath,
     );
   }
 
   /**
    * Process the manifest into individual components and pages.
+   *
+   * @param dev If the app is served in development mode. Defaults to `true`,
+   * unless the app is running on Deno Deploy.
    */
   static async fromManifest(
     manifest: Manifest,
     opts: FreshOptions,
+    dev?: boolean,
   ): Promise<ServerContext> {
     // Get the manifest' base URL.
     const baseUrl = new URL("./", manifest.baseUrl).href;
@@ -132,13 +238,36 @@ export class ServerContext {
       jsxImportSource: config.compilerOptions.jsxImportSource,
     };
 
+    const basePath = normalizeBasePath(opts.basePath ?? "");
+
+    // Collect the param matchers. Matchers from the `params/` folder take
+    // precedence over the builtin ones.
+    const paramMatchers: Record<string, ParamMatcher> = {
+      ...BUILTIN_PARAM_MATCHERS,
+    };
+    for (const [self, module] of Object.entries(manifest.params ?? {})) {
+      const url = new URL(self, baseUrl).href;
+      if (!url.startsWith(baseUrl + "params")) {
+        throw new TypeError("Param matcher is not a child of the basepath.");
+      }
+      const path = url.substring(baseUrl.length).substring("params".length);
+      const name = path.substring(1, path.length - extname(path).length);
+      if (typeof module.match !== "function") {
+        throw new TypeError(
+          `Param matchers must export a 'match' function ('${self}').`,
+        );
+      }
+      paramMatchers[name] = module;
+    }
+
     // Extract all routes, and prepare them into the `Page` structure.
     const routes: Route[] = [];
     const islands: Island[] = [];
     const middlewares: MiddlewareRoute[] = [];
+    const layouts: Layout[] = [];
     let app: AppModule = DEFAULT_APP;
-    let notFound: UnknownPage = DEFAULT_NOT_FOUND;
-    let error: ErrorPage = DEFAULT_ERROR;
+    const notFound: UnknownPage[] = [];
+    const error: ErrorPage[] = [];
     for (const [self, module] of Object.entries(manifest.routes)) {
       const url = new URL(self, baseUrl).href;
       if (!url.startsWith(baseUrl + "routes")) {
@@ -147,14 +276,49 @@ export class ServerContext {
       const path = url.substring(baseUrl.length).substring("routes".length);
       const baseRoute = path.substring(1, path.length - extname(path).length);
       const name = baseRoute.replace("/", "-");
+      if (baseRoute.split("/").slice(1).some(isHostnameSegment)) {
+        throw new TypeError(
+          `Hostname directories must be at the root of the routes folder ('${self}').`,
+        );
+      }
       const isMiddleware = path.endsWith("/_middleware.tsx") ||
         path.endsWith("/_middleware.ts") || path.endsWith("/_middleware.jsx") ||
         path.endsWith("/_middleware.js");
-      if (!path.startsWith("/_") && !isMiddleware) {
+      const isLayout = path.endsWith("/_layout.tsx") ||
+        path.endsWith("/_layout.ts") || path.endsWith("/_layout.jsx") ||
+        path.endsWith("/_layout.js");
+      const isNotFound = path.endsWith("/_404.tsx") ||
+        path.endsWith("/_404.ts") || path.endsWith("/_404.jsx") ||
+        path.endsWith("/_404.js");
+      const isError = path.endsWith("/_500.tsx") ||
+        path.endsWith("/_500.ts") || path.endsWith("/_500.jsx") ||
+        path.endsWith("/_500.js");
+      if (
+        !path.startsWith("/_") && !isMiddleware && !isLayout &&
+        !isNotFound && !isError
+      ) {
         const { default: component, config } = module as RouteModule;
         let pattern = pathToPattern(baseRoute);
+        let matchers: Record<string, ParamMatcher> = {};
+        for (const [param, matcher] of pathToMatchers(baseRoute)) {
+          if (paramMatchers[matcher] === undefined) {
+            throw new TypeError(
+              `Unknown param matcher '${matcher}' for param '${param}' ('${self}').`,
+            );
+          }
+          matchers[param] = paramMatchers[matcher];
+        }
+        if (
+          config?.revalidate !== undefined &&
+          !(typeof config.revalidate === "number" && config.revalidate > 0)
+        ) {
+          throw new TypeError(
+            `The 'revalidate' config must be a positive number of seconds ('${self}').`,
+          );
+        }
         if (config?.routeOverride) {
           pattern = String(config.routeOverride);
+          matchers = {};
         }
         let { handler } = module as RouteModule;
         handler ??= {};
@@ -164,67 +328,151 @@ export class ServerContext {
         ) {
           handler.GET = (_req, { render }) => render();
         }
+        const { methodNotAllowed, middleware = [], getStaticPaths } =
+          module as RouteModule;
+        const routeMiddlewares = Array.isArray(middleware)
+          ? middleware
+          : [middleware];
+        if (routeMiddlewares.some((mw) => typeof mw !== "function")) {
+          throw new TypeError(
+            `The 'middleware' export must be a function or an array of functions ('${self}').`,
+          );
+        }
+        if (
+          methodNotAllowed !== undefined &&
+          typeof methodNotAllowed !== "function"
+        ) {
+          throw new TypeError(
+            `The 'methodNotAllowed' export must be a function ('${self}').`,
+          );
+        }
+        if (
+          getStaticPaths !== undefined && typeof getStaticPaths !== "function"
+        ) {
+          throw new TypeError(
+            `The 'getStaticPaths' export must be a function ('${self}').`,
+          );
+        }
         const route: Route = {
           pattern,
+          path: config?.routeOverride
+            ? String(config.routeOverride)
+            : pathToRoutePath(baseRoute),
           url,
           name,
           component,
           handler,
+          methodNotAllowed,
+          getStaticPaths,
+          hostname: pathToHostname(baseRoute),
+          middlewares: routeMiddlewares,
+          rawParams: Boolean(config?.rawParams ?? false),
           csp: Boolean(config?.csp ?? false),
+          revalidate: config?.revalidate,
+          varyHeaders: (config?.varyHeaders ?? []).map((name) =>
+            name.toLowerCase()
+          ),
+          cacheQuery: config?.cacheQuery ?? false,
+          layouts: [],
+          matchers,
         };
         routes.push(route);
       } else if (isMiddleware) {
-        middlewares.push({
-          ...middlewarePathToPattern(baseRoute),
+        const middleware: MiddlewareRoute = {
+          ...middlewarePathToPattern(baseRoute, basePath),
           ...module as MiddlewareModule,
-        });
+        };
+        // Route groups don't show up in the URL, so middlewares inside of a
+        // group are scoped to the routes that live in the group's directory.
+        if (baseRoute.split("/").some(isRouteGroup)) {
+          middleware.scope = new URL("./", url).href;
+        }
+        middlewares.push(middleware);
+      } else if (isLayout) {
+        const { default: component } = module as LayoutModule;
+        if (typeof component !== "function") {
+          throw new TypeError(
+            `Layouts must default export a component ('${self}').`,
+          );
+        }
+        layouts.push({ dir: new URL("./", url).href, url, component });
       } else if (
         path === "/_app.tsx" || path === "/_app.ts" ||
         path === "/_app.jsx" || path === "/_app.js"
       ) {
         app = module as AppModule;
-      } else if (
-        path === "/_404.tsx" || path === "/_404.ts" ||
-        path === "/_404.jsx" || path === "/_404.js"
-      ) {
+      } else if (isNotFound) {
         const { default: component, config } = module as UnknownPageModule;
         let { handler } = module as UnknownPageModule;
         if (component && handler === undefined) {
           handler = (_req, { render }) => render();
         }
 
-        notFound = {
+        notFound.push({
           pattern: pathToPattern(baseRoute),
           url,
           name,
           component,
-          handler: handler ?? ((req) => rutt.defaultOtherHandler(req)),
+          handler: handler ?? ((req) => router.defaultOtherHandler(req)),
           csp: Boolean(config?.csp ?? false),
-        };
-      } else if (
-        path === "/_500.tsx" || path === "/_500.ts" ||
-        path === "/_500.jsx" || path === "/_500.js"
-      ) {
+          prefix: dirPathToPattern(
+            baseRoute.slice(0, -"_404".length),
+            basePath,
+          ).compiledPattern,
+        });
+      } else if (isError) {
         const { default: component, config } = module as ErrorPageModule;
         let { handler } = module as ErrorPageModule;
         if (component && handler === undefined) {
           handler = (_req, { render }) => render();
         }
 
-        error = {
+        error.push({
           pattern: pathToPattern(baseRoute),
           url,
           name,
           component,
           handler: handler ??
-            ((req, ctx) => rutt.defaultErrorHandler(req, ctx, ctx.error)),
+            ((req, ctx) => router.defaultErrorHandler(req, ctx, ctx.error)),
           csp: Boolean(config?.csp ?? false),
-        };
+          prefix: dirPathToPattern(
+            baseRoute.slice(0, -"_500".length),
+            basePath,
+          ).compiledPattern,
+        });
       }
     }
     sortRoutes(routes);
     sortRoutes(middlewares);
 
+    const shadowed = findShadowedRoute(
+      routes.map((route) => ({
+        pattern: route.pattern,
+        hostname: route.hostname,
+        matchers: route.matchers,
+        file: route.url.substring(baseUrl.length),
+      })),
+    );
+    if (shadowed !== undefined) {
+      throw new TypeError(shadowed);
+    }
+
+    // The 404 and 500 pages closest to the requested URL take precedence, so
+    // sort them from the deepest to the shallowest directory. The default
+    // pages are used when there is no page at the root of the routes folder.
+    sortByPrefixDepth(notFound);
+    sortByPrefixDepth(error);
+    notFound.push(DEFAULT_NOT_FOUND);
+    error.push(DEFAULT_ERROR);
+
+    // Layouts wrap every page in their directory and below, outermost first.
+    layouts.sort((a, b) => a.dir.length - b.dir.length);
+    for (const route of routes) {
+      route.layouts = layouts.filter((layout) =>
+        route.url.startsWith(layout.dir)
+      );
+    }
+
     for (const [self, module] of Object.entries(manifest.islands)) {
       const url = new URL(self, baseUrl).href;
       if (!url.startsWith(baseUrl)) {
@@ -290,18 +538,21 @@ export class ServerContext {
       }
     }
 
+    const { render, plugins, staticDir: _, ...options } = opts;
     return new ServerContext(
       routes,
       islands,
       staticFiles,
-      opts.render ?? DEFAULT_RENDER_FN,
+      render ?? DEFAULT_RENDER_FN,
       middlewares,
       app,
       notFound,
       error,
-      opts.plugins ?? [],
+      plugins ?? [],
       importMapURL,
       jsxConfig,
+      { ...options, basePath },
+      dev,
     );
   }
 
@@ -310,34 +561,264 @@ export class ServerContext {
    * by fresh, including static files.
    */
   handler(): RequestHandler {
-    const inner = rutt.router<RouterState>(...this.#handlers());
-    const withMiddlewares = this.#composeMiddlewares(this.#middlewares);
+    const handlers = this.#handlers();
+    const inner = router.router<RouterState>(...handlers);
+    const withMiddlewares = this.#composeMiddlewares(
+      this.#middlewares,
+      handlers[2],
+    );
+    const trailingSlash = this.#trailingSlash;
+    const redirectStatus = this.#permanentTrailingSlashRedirect
+      ? Status.PermanentRedirect
+      : Status.TemporaryRedirect;
+    const basePath = this.#basePath;
+    const staticPaths = new Set(
+      this.#staticFiles.map(({ path }) => basePath + path),
+    );
+    const redirects = this.#redirects.map((redirect) => ({
+      pattern: new URLPattern({ pathname: basePath + redirect.source }),
+      destination: withBasePath(redirect.destination, basePath),
+      status: redirect.permanent
+        ? Status.PermanentRedirect
+        : Status.TemporaryRedirect,
+    }));
+    const rewrites = this.#rewrites.map((rewrite) => ({
+      pattern: new URLPattern({ pathname: basePath + rewrite.source }),
+      destination: withBasePath(rewrite.destination, basePath),
+    }));
+    const localeRouter = this.#localeRouter;
     return function handler(req: Request, connInfo: ConnInfo) {
-      // Redirect requests that end with a trailing slash
-      // to their non-trailing slash counterpart.
-      // Ex: /about/ -> /about
-      const url = new URL(req.url);
-      if (url.pathname.length > 1 && url.pathname.endsWith("/")) {
+      let url = new URL(req.url);
+      for (const { pattern, destination, status } of redirects) {
+        const match = pattern.exec(url);
+        if (match === null) continue;
+        const location = new URL(
+          substituteParams(destination, match.pathname.groups),
+          url,
+        );
+        if (location.search === "") location.search = url.search;
+        return Response.redirect(location.href, status);
+      }
+      if (
+        trailingSlash === "never" && url.pathname.length > 1 &&
+        url.pathname.endsWith("/")
+      ) {
+        // Redirect requests that end with a trailing slash
+        // to their non-trailing slash counterpart.
+        // Ex: /about/ -> /about
         url.pathname = url.pathname.slice(0, -1);
-        return Response.redirect(url.href, Status.TemporaryRedirect);
+        return Response.redirect(url.href, redirectStatus);
+      } else if (
+        trailingSlash === "always" && !url.pathname.endsWith("/") &&
+        !url.pathname.startsWith(basePath + INTERNAL_PREFIX) &&
+        !staticPaths.has(url.pathname) &&
+        !url.pathname.slice(url.pathname.lastIndexOf("/")).includes(".")
+      ) {
+        // Redirect requests that don't end with a trailing slash
+        // to their trailing slash counterpart.
+        // Ex: /about -> /about/
+        url.pathname += "/";
+        return Response.redirect(url.href, redirectStatus);
+      }
+      let lang: string | undefined;
+      let negotiated = false;
+      if (
+        localeRouter !== undefined &&
+        !url.pathname.startsWith(basePath + INTERNAL_PREFIX) &&
+        !staticPaths.has(url.pathname)
+      ) {
+        const routed = localeRouter.route(req);
+        if (routed instanceof Response) return routed;
+        [req, lang, negotiated] = routed;
+        url = new URL(req.url);
+      }
+      for (const { pattern, destination } of rewrites) {
+        const match = pattern.exec(url);
+        if (match === null) continue;
+        const rewritten = new URL(
+          substituteParams(destination, match.pathname.groups),
+          url,
+        );
+        if (rewritten.search === "") rewritten.search = url.search;
+        req = new Request(rewritten.href, req);
+        break;
       }
-      return withMiddlewares(req, connInfo, inner);
+      const localized = url;
+      const res = withMiddlewares(
+        req,
+        connInfo,
+        inner,
+        lang === undefined
+          ? undefined
+          : () => localeRouter!.locale(lang!, localized),
+      );
+      return negotiated ? res.then(withLocaleVary) : res;
     };
   }
 
+  /**
+   * Render the app to files that can be served by a static file server: the
+   * pages of the routes, the 404 page, the files in the static folder and the
+   * island bundles. Routes with params are rendered for the params that their
+   * `getStaticPaths` export returns, and skipped if they don't have one.
+   */
+  async *staticExport(): AsyncGenerator<ExportedFile> {
+    const handler = this.handler();
+    const addr: Deno.NetAddr = {
+      transport: "tcp",
+      hostname: "localhost",
+      port: 80,
+    };
+    const connInfo: ConnInfo = { localAddr: addr, remoteAddr: addr };
+    const render = async (path: string) => {
+      const req = new Request(
+        new URL(this.#basePath + path, "http://localhost"),
+      );
+      const res = await handler(req, connInfo);
+      const html = res.headers.get("content-type")?.startsWith("text/html");
+      let file = path;
+      if (html && path.endsWith("/")) {
+        file += "index.html";
+      } else if (html) {
+        file += ".html";
+      }
+      return { res, file };
+    };
+
+    for (const route of this.#routes) {
+      if (
+        typeof route.handler === "object" && route.handler.GET === undefined
+      ) {
+        continue;
+      }
+      if (route.hostname !== undefined) {
+        console.warn(
+          `%cSkipping '${route.path}', because routes in hostname directories can not be exported.`,
+          "color:yellow",
+        );
+        continue;
+      }
+      let paths;
+      if (route.getStaticPaths !== undefined) {
+        const params = await route.getStaticPaths();
+        paths = params.map((params) => routeUrl(route.path, params, ""));
+      } else if (route.path.includes(":")) {
+        console.warn(
+          `%cSkipping '${route.path}', because it has params but no 'getStaticPaths' export.`,
+          "color:yellow",
+        );
+        continue;
+      } else {
+        paths = [routeUrl(route.path, {}, "")];
+      }
+
+      for (let path of paths) {
+        if (
+          this.#trailingSlash === "always" && !path.endsWith("/") &&
+          !path.slice(path.lastIndexOf("/")).includes(".")
+        ) {
+          path += "/";
+        }
+        const { res, file } = await render(path);
+        if (res.status >= 500) {
+          throw new Error(
+            `Failed to export '${path}', it responded with status ${res.status}.`,
+          );
+        } else if (res.status !== 200) {
+          console.warn(
+            `%cSkipping '${path}', because it responded with status ${res.status}.`,
+            "color:yellow",
+          );
+          await res.body?.cancel();
+          continue;
+        }
+        yield { path: file, contents: new Uint8Array(await res.arrayBuffer()) };
+      }
+    }
+
+    // Render the root 404 page, for static file servers that serve a
+    // `404.html` for unknown paths.
+    const { res } = await render(`${INTERNAL_PREFIX}/404`);
+    if (
+      res.status === Status.NotFound &&
+      res.headers.get("content-type")?.startsWith("text/html")
+    ) {
+      yield {
+        path: "/404.html",
+        contents: new Uint8Array(await res.arrayBuffer()),
+      };
+    } else {
+      await res.body?.cancel();
+    }
+
+    for (const { localUrl, path } of this.#staticFiles) {
+      yield { path, contents: await Deno.readFile(localUrl) };
+    }
+
+    for (const [path, contents] of await this.#bundler.cache()) {
+      yield { path: bundleAssetUrl(path), contents };
+    }
+  }
+
+  /**
+   * Compile the matcher of a route, prefixed with the base path. Unless
+   * trailing slashes are redirected away, the compiled pattern also matches the
+   * URL with a trailing slash.
+   */
+  #compileRoutePattern({ pattern, hostname }: Route): URLPattern {
+    if (this.#basePath !== "") {
+      pattern = pattern === "/" ? this.#basePath : this.#basePath + pattern;
+    }
+    if (
+      this.#trailingSlash !== "never" && !pattern.endsWith("/") &&
+      !pattern.endsWith("{/}?")
+    ) {
+      pattern += "{/}?";
+    }
+    return new URLPattern({ pathname: pattern, hostname });
+  }
+
   /**
    * Identify which middlewares should be applied for a request,
    * chain them and return a handler response
    */
-  #composeMiddlewares(middlewares: MiddlewareRoute[]) {
-    return (
+  #composeMiddlewares(
+    middlewares: MiddlewareRoute[],
+    errorHandler: router.ErrorHandler<RouterState>,
+  ) {
+    // Scoped middlewares need to know which route is going to handle the
+    // request, so only look up the route if there are any.
+    const scoped = middlewares.some((mw) => mw.scope !== undefined);
+    const routeUrls = this.#routeUrls;
+    const renderCache = this.#renderCache;
+    const revalidate = (path: string) => renderCache.revalidate(path);
+
+    return async (
       req: Request,
       connInfo: ConnInfo,
-      inner: rutt.Handler<RouterState>,
+      inner: router.Router<RouterState>,
+      loadLocale?: () => Promise<Locale>,
     ) => {
+      // The route is looked up like the router does, including the param
+      // matchers, so that sibling routes like `[id=int]` and `[slug]` in
+      // different directories pick the right middlewares. The router then
+      // handles the request with the same route.
+      let match: router.RouteMatch<RouterState> | null | undefined;
+      if (scoped) {
+        try {
+          match = inner.match(req.url);
+        } catch {
+          // The router responds with the bad request handler.
+        }
+      }
+
       // identify middlewares to apply, if any.
       // middlewares should be already sorted from deepest to shallow layer
-      const mws = selectMiddlewares(req.url, middlewares);
+      const mws = selectMiddlewares(
+        req.url,
+        middlewares,
+        match ? routeUrls.get(match.route) : undefined,
+      );
 
       const handlers: (() => Response | Promise<Response>)[] = [];
 
@@ -348,8 +829,20 @@ export class ServerContext {
         },
         ...connInfo,
         state: {},
+        locale: undefined as Locale | undefined,
+        revalidate,
       };
 
+      // The locale is loaded before any middleware runs. If its messages fail
+      // to load, the error page is rendered without a locale.
+      if (loadLocale !== undefined) {
+        try {
+          ctx.locale = await loadLocale();
+        } catch (err) {
+          return errorHandler(req, ctx, err);
+        }
+      }
+
       for (const mw of mws) {
         if (mw.handler instanceof Array) {
           for (const handler of mw.handler) {
@@ -361,7 +854,7 @@ export class ServerContext {
         }
       }
 
-      handlers.push(() => inner(req, ctx));
+      handlers.push(() => inner(req, ctx, match));
 
       const handler = handlers.shift()!;
       return handler();
@@ -369,30 +862,33 @@ export class ServerContext {
   }
 
   /**
-   * This function returns all routes required by fresh as an extended
-   * path-to-regex, to handler mapping.
+   * This function returns all routes required by fresh as an ordered list of
+   * internal routes, built from an extended path-to-regex to handler mapping.
    */
   #handlers(): [
-    rutt.Routes<RouterState>,
-    rutt.Handler<RouterState>,
-    rutt.ErrorHandler<RouterState>,
+    router.InternalRoutes<RouterState>,
+    router.Handler<RouterState>,
+    router.ErrorHandler<RouterState>,
+    router.UnknownMethodHandler<RouterState>,
+    router.BadRequestHandler<RouterState>,
   ] {
-    const routes: rutt.Routes<RouterState> = {};
+    const routes: router.Routes<RouterState> = {};
+    const basePath = sanitizePathToRegex(this.#basePath);
 
-    routes[`${INTERNAL_PREFIX}${JS_PREFIX}/${BUILD_ID}/:path*`] = this
-      .#bundleAssetRoute();
+    routes[`${basePath}${INTERNAL_PREFIX}${JS_PREFIX}/${BUILD_ID}/:path*`] =
+      this.#bundleAssetRoute();
 
     if (this.#dev) {
-      routes[REFRESH_JS_URL] = () => {
+      routes[basePath + REFRESH_JS_URL] = () => {
         const js =
-          `new EventSource("${ALIVE_URL}").addEventListener("message", function listener(e) { if (e.data !== "${BUILD_ID}") { this.removeEventListener('message', listener); location.reload(); } });`;
+          `new EventSource("${this.#basePath}${ALIVE_URL}").addEventListener("message", function listener(e) { if (e.data !== "${BUILD_ID}") { this.removeEventListener('message', listener); location.reload(); } });`;
         return new Response(js, {
           headers: {
             "content-type": "application/javascript; charset=utf-8",
           },
         });
       };
-      routes[ALIVE_URL] = () => {
+      routes[basePath + ALIVE_URL] = () => {
         let timerId: number | undefined = undefined;
         const body = new ReadableStream({
           start(controller) {
@@ -423,7 +919,7 @@ export class ServerContext {
       const { localUrl, path, size, contentType, etag } of this.#staticFiles
     ) {
       const route = sanitizePathToRegex(path);
-      routes[`GET@${route}`] = this.#staticFileHandler(
+      routes[`GET@${basePath}${route}`] = this.#staticFileHandler(
         localUrl,
         size,
         contentType,
@@ -437,45 +933,62 @@ export class ServerContext {
     ) => {
       const imports: string[] = [];
       if (this.#dev) {
-        imports.push(REFRESH_JS_URL);
+        imports.push(this.#basePath + REFRESH_JS_URL);
       }
       return (
         req: Request,
+        ctx: RouterState,
         params: Record<string, string>,
         error?: unknown,
       ) => {
-        return async (data?: Data) => {
+        return async (data?: Data, options?: RenderResponseOptions) => {
           if (route.component === undefined) {
             throw new Error("This page does not have a component to render.");
           }
 
-          if (
-            typeof route.component === "function" &&
-            route.component.constructor.name === "AsyncFunction"
-          ) {
-            throw new Error(
-              "Async components are not supported. Fetch data inside of a route handler, as described in the docs: https://fresh.deno.dev/docs/getting-started/fetching-data",
-            );
-          }
-
+          const partial = this.#partialNavigation && !route.csp &&
+            req.headers.has(PARTIAL_HEADER);
           const preloads: string[] = [];
           const resp = await internalRender({
             route,
             islands: this.#islands,
             plugins: this.#plugins,
             app: this.#app,
+            layouts: "layouts" in route ? route.layouts : [],
             imports,
             preloads,
+            getPreloads: (path) => this.#bundler.getPreloads(path),
             renderFn: this.#renderFn,
+            basePath: this.#basePath,
+            partialNavigation: this.#partialNavigation,
+            partial,
+            suspenseTimeout: this.#suspenseTimeout,
             url: new URL(req.url),
             params,
+            req,
+            state: ctx.state,
+            locale: ctx.locale,
             data,
             error,
           });
+          if (resp instanceof Response) {
+            return resp;
+          }
 
-          const headers: Record<string, string> = {
-            "content-type": "text/html; charset=utf-8",
-          };
+          const headers = new Headers({
+            "content-type": partial
+              ? "application/json; charset=utf-8"
+              : "text/html; charset=utf-8",
+          });
+          if (this.#partialNavigation) {
+            headers.set("vary", PARTIAL_HEADER);
+          }
+          if (this.#preloadLinkHeader && preloads.length > 0) {
+            headers.set(
+              "link",
+              preloads.map((url) => `<${url}>; rel=modulepreload`).join(", "),
+            );
+          }
 
           const [body, csp] = resp;
           if (csp) {
@@ -487,58 +1000,116 @@ export class ServerContext {
             }
             const directive = serializeCSPDirectives(csp.directives);
             if (csp.reportOnly) {
-              headers["content-security-policy-report-only"] = directive;
+              headers.set("content-security-policy-report-only", directive);
+            } else {
+              headers.set("content-security-policy", directive);
+            }
+          }
+          // Cookies and `Vary` are added to, other headers are replaced.
+          for (const [key, value] of new Headers(options?.headers)) {
+            if (key === "set-cookie" || key === "vary") {
+              headers.append(key, value);
             } else {
-              headers["content-security-policy"] = directive;
+              headers.set(key, value);
             }
           }
-          return new Response(body, { status, headers });
+          return new Response(body, {
+            status: options?.status ?? status,
+            headers,
+          });
         };
       };
     };
 
-    const createUnknownRender = genRender(this.#notFound, Status.NotFound);
+    // Select the 404 page with the longest prefix that matches the URL.
+    const unknownPages = this.#notFound.map((page) => ({
+      page,
+      createRender: genRender<unknown>(page, Status.NotFound),
+    }));
+    const unknownHandler: router.Handler<RouterState> = (
+      req,
+      ctx,
+    ) => {
+      const { page, createRender } = unknownPages.find(({ page }) =>
+        page.prefix.test(req.url)
+      )!;
+      return page.handler(
+        req,
+        {
+          ...ctx,
+          render: createRender(req, ctx, {}),
+        },
+      );
+    };
 
+    // Routes are not merged by their pattern, because routes with the same
+    // pattern can still differ in their param matchers.
+    const internalRoutes = router.buildInternalRoutes(routes);
     for (const route of this.#routes) {
       const createRender = genRender(route, Status.OK);
+      const methods: Record<string, router.MatchHandler<RouterState>> = {};
       if (typeof route.handler === "function") {
-        routes[route.pattern] = (req, ctx, params) =>
+        methods["any"] = (req, ctx, params, rawParams) =>
           (route.handler as Handler)(req, {
             ...ctx,
             params,
-            render: createRender(req, params),
-            renderNotFound: createUnknownRender(req, {}),
+            rawParams,
+            render: createRender(req, ctx, params),
+            renderNotFound: () => unknownHandler(req, ctx),
           });
       } else {
         for (const [method, handler] of Object.entries(route.handler)) {
-          routes[`${method}@${route.pattern}`] = (req, ctx, params) =>
+          methods[method] = (req, ctx, params, rawParams) =>
             handler(req, {
               ...ctx,
               params,
-              render: createRender(req, params),
-              renderNotFound: createUnknownRender(req, {}),
+              rawParams,
+              render: createRender(req, ctx, params),
+              renderNotFound: () => unknownHandler(req, ctx),
             });
         }
       }
+      const { revalidate, varyHeaders, cacheQuery } = route;
+      if (revalidate !== undefined) {
+        // Only the responses to `GET` requests are cached. `HEAD` requests are
+        // answered by the `GET` handler.
+        for (const method of ["GET", "any"]) {
+          const handler = methods[method];
+          if (handler === undefined) continue;
+          methods[method] = (req, ctx, params, rawParams) =>
+            req.method === "GET" || req.method === "HEAD"
+              ? this.#renderCache.respond(
+                req,
+                ctx.locale?.lang,
+                { revalidate, varyHeaders, query: cacheQuery },
+                () => handler(req, ctx, params, rawParams),
+              )
+              : handler(req, ctx, params, rawParams);
+        }
+      }
+      const { methodNotAllowed } = route;
+      const internalRoute: router.InternalRoute<RouterState> = {
+        pattern: this.#compileRoutePattern(route),
+        methods,
+        matchers: route.matchers,
+        unknownMethod: methodNotAllowed &&
+          ((req, ctx, allowed, params) =>
+            methodNotAllowed(req, { ...ctx, allowed, params })),
+        middleware: route.middlewares.length > 0
+          ? composeRouteMiddlewares(route.middlewares)
+          : undefined,
+        rawParams: route.rawParams,
+      };
+      internalRoutes.push(internalRoute);
+      this.#routeUrls.set(internalRoute, route.url);
     }
 
-    const unknownHandler: rutt.Handler<RouterState> = (
-      req,
-      ctx,
-    ) =>
-      this.#notFound.handler(
-        req,
-        {
-          ...ctx,
-          render: createUnknownRender(req, {}),
-        },
-      );
-
-    const errorHandlerRender = genRender(
-      this.#error,
-      Status.InternalServerError,
-    );
-    const errorHandler: rutt.ErrorHandler<RouterState> = (
+    // Select the 500 page with the longest prefix that matches the URL.
+    const errorPages = this.#error.map((page) => ({
+      page,
+      createRender: genRender<unknown>(page, Status.InternalServerError),
+    }));
+    const errorHandler: router.ErrorHandler<RouterState> = (
       req,
       ctx,
       error,
@@ -548,17 +1119,32 @@ export class ServerContext {
         "color:red",
         error,
       );
-      return this.#error.handler(
+      const { page, createRender } = errorPages.find(({ page }) =>
+        page.prefix.test(req.url)
+      )!;
+      return page.handler(
         req,
         {
           ...ctx,
           error,
-          render: errorHandlerRender(req, {}, error),
+          render: createRender(req, ctx, {}, error),
         },
       );
     };
 
-    return [routes, unknownHandler, errorHandler];
+    const badRequest = this.#badRequest;
+    const badRequestHandler: router.BadRequestHandler<RouterState> =
+      badRequest === undefined
+        ? router.defaultBadRequestHandler
+        : (req, ctx, error) => badRequest(req, { ...ctx, error });
+
+    return [
+      internalRoutes,
+      unknownHandler,
+      errorHandler,
+      router.defaultUnknownMethodHandler,
+      badRequestHandler,
+    ];
   }
 
   #staticFileHandler(
@@ -566,7 +1152,7 @@ export class ServerContext {
     size: number,
     contentType: string,
     etag: string,
-  ): rutt.MatchHandler {
+  ): router.MatchHandler {
     return async (req: Request) => {
       const url = new URL(req.url);
       const key = url.searchParams.get(ASSET_CACHE_BUST_KEY);
@@ -604,7 +1190,7 @@ export class ServerContext {
    * Returns a router that contains all fresh routes. Should be mounted at
    * constants.INTERNAL_PREFIX
    */
-  #bundleAssetRoute = (): rutt.MatchHandler => {
+  #bundleAssetRoute = (): router.MatchHandler => {
     return async (_req, _ctx, params) => {
       const path = `/${params.path}`;
       const file = await this.#bundler.get(path);
@@ -637,15 +1223,16 @@ const DEFAULT_RENDER_FN: RenderFunction = (_ctx, render) => {
 };
 
 const DEFAULT_APP: AppModule = {
-  default: ({ Component }) => h(Component, {}),
+  default: ({ Component }: AppProps) => h(Component, {}),
 };
 
 const DEFAULT_NOT_FOUND: UnknownPage = {
   pattern: "",
   url: "",
   name: "_404",
-  handler: (req) => rutt.defaultOtherHandler(req),
+  handler: (req) => router.defaultOtherHandler(req),
   csp: false,
+  prefix: dirPathToPattern("").compiledPattern,
 };
 
 const DEFAULT_ERROR: ErrorPage = {
@@ -655,18 +1242,25 @@ const DEFAULT_ERROR: ErrorPage = {
   component: DefaultErrorHandler,
   handler: (_req, ctx) => ctx.render(),
   csp: false,
+  prefix: dirPathToPattern("").compiledPattern,
 };
 
 /**
  * Return a list of middlewares that needs to be applied for request url
  * @param url the request url
  * @param middlewares Array of middlewares handlers and their routes as path-to-regexp style
+ * @param routeUrl the file URL of the route that handles the request, if any
  */
-export function selectMiddlewares(url: string, middlewares: MiddlewareRoute[]) {
+export function selectMiddlewares(
+  url: string,
+  middlewares: MiddlewareRoute[],
+  routeUrl?: string,
+) {
   const selectedMws: Middleware[] = [];
   const reqURL = new URL(url);
 
-  for (const { compiledPattern, handler } of middlewares) {
+  for (const { compiledPattern, handler, scope } of middlewares) {
+    if (scope !== undefined && !routeUrl?.startsWith(scope)) continue;
     const res = compiledPattern.exec(reqURL);
     if (res) {
       selectedMws.push({ handler });
@@ -676,48 +1270,6 @@ export function selectMiddlewares(url: string, middlewares: MiddlewareRoute[]) {
   return selectedMws;
 }
 
-/**
- * Sort pages by their relative routing priority, based on the parts in the
- * route matcher
- */
-function sortRoutes<T extends { pattern: string }>(routes: T[]) {
-  routes.sort((a, b) => {
-    const partsA = a.pattern.split("/");
-    const partsB = b.pattern.split("/");
-    for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
-      const partA = partsA[i];
-      const partB = partsB[i];
-      if (partA === undefined) return -1;
-      if (partB === undefined) return 1;
-      if (partA === partB) continue;
-      const priorityA = partA.startsWith(":") ? partA.endsWith("*") ? 0 : 1 : 2;
-      const priorityB = partB.startsWith(":") ? partB.endsWith("*") ? 0 : 1 : 2;
-      return Math.max(Math.min(priorityB - priorityA, 1), -1);
-    }
-    return 0;
-  });
-}
-
-/** Transform a filesystem URL path to a `path-to-regex` style matcher. */
-function pathToPattern(path: string): string {
-  const parts = path.split("/");
-  if (parts[parts.length - 1] === "index") {
-    parts.pop();
-  }
-  const route = "/" + parts
-    .map((part) => {
-      if (part.startsWith("[...") && part.endsWith("]")) {
-        return `:${part.slice(4, part.length - 1)}*`;
-      }
-      if (part.startsWith("[") && part.endsWith("]")) {
-        return `:${part.slice(1, part.length - 1)}`;
-      }
-      return part;
-    })
-    .join("/");
-  return route;
-}
-
 // Normalize a path for use in a URL. Returns null if the path is unparsable.
 export function normalizeURLPath(path: string): string | null {
   try {
@@ -729,6 +1281,61 @@ export function normalizeURLPath(path: string): string | null {
   }
 }
 
+/**
+ * Chain the middlewares of a route, so that they run before the route handles
+ * the request, including its automatic `OPTIONS` and 405 responses. They share
+ * the `state` of the directory middlewares.
+ */
+function composeRouteMiddlewares(
+  middlewares: MiddlewareHandler[],
+): router.RouteMiddleware<RouterState> {
+  return (req, ctx, _params, next) => {
+    const handlers = middlewares.map((mw) => () => mw(req, mwCtx));
+    handlers.push(next);
+    const mwCtx: MiddlewareHandlerContext = {
+      ...ctx,
+      next() {
+        const handler = handlers.shift()!;
+        return Promise.resolve(handler());
+      },
+    };
+    return mwCtx.next();
+  };
+}
+
+/** Prefix a path with the base path. Absolute URLs are kept as they are. */
+function withBasePath(destination: string, basePath: string): string {
+  return destination.startsWith("/") && !destination.startsWith("//")
+    ? basePath + destination
+    : destination;
+}
+
+/**
+ * Replace the params in the destination of a redirect or rewrite, like
+ * `/posts/:slug`, with the values that were matched by its source.
+ */
+function substituteParams(
+  destination: string,
+  groups: Record<string, string | undefined>,
+): string {
+  return destination.replace(
+    /:([\w$]+)[*?+]?/g,
+    (param, name: string) => name in groups ? groups[name] ?? "" : param,
+  );
+}
+
+/**
+ * Normalize the `basePath` option to either an empty string or a path that
+ * starts with, but doesn't end with a slash (e.g. `/shop`). Normalizing a base
+ * path again returns it as it is.
+ */
+function normalizeBasePath(basePath: string): string {
+  if (basePath !== "" && !basePath.startsWith("/")) {
+    throw new TypeError(`The base path must start with a '/' ('${basePath}').`);
+  }
+  return basePath.replace(/\/+$/, "");
+}
+
 function sanitizePathToRegex(path: string): string {
   return path
     .replaceAll("\*", "\\*")
@@ -765,12 +1372,36 @@ function serializeCSPDirectives(csp: ContentSecurityPolicyDirectives): string {
     .join("; ");
 }
 
-export function middlewarePathToPattern(baseRoute: string) {
+export function middlewarePathToPattern(baseRoute: string, basePath = "") {
   baseRoute = baseRoute.slice(0, -"_middleware".length);
-  let pattern = pathToPattern(baseRoute);
+  return dirPathToPattern(baseRoute, basePath);
+}
+
+/**
+ * Transform a filesystem URL path to a directory (e.g. `api/`) to a matcher
+ * for all URLs in that directory and below.
+ */
+function dirPathToPattern(dir: string, basePath = "") {
+  let pattern = pathToPattern(dir);
   if (pattern.endsWith("/")) {
     pattern = pattern.slice(0, -1) + "{/*}?";
   }
-  const compiledPattern = new URLPattern({ pathname: pattern });
+  pattern = basePath + pattern;
+  const compiledPattern = new URLPattern({
+    pathname: pattern,
+    hostname: pathToHostname(dir),
+  });
   return { pattern, compiledPattern };
 }
+
+/**
+ * Sort 404 and 500 pages from the deepest to the shallowest prefix. Pages that
+ * are scoped to a hostname come before other pages with the same depth.
+ */
+function sortByPrefixDepth<T extends { prefix: URLPattern }>(pages: T[]) {
+  pages.sort((a, b) =>
+    splitPattern(b.prefix.pathname).length -
+      splitPattern(a.prefix.pathname).length ||
+    Number(b.prefix.hostname !== "*") - Number(a.prefix.hostname !== "*")
+  );
+}
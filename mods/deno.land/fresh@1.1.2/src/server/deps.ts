@@ -2,6 +2,7 @@
 export {
   extname,
   fromFileUrl,
+  join,
   toFileUrl,
 } from "https://deno.land/std@0.150.0/path/mod.ts";
 export { walk } from "https://deno.land/std@0.150.0/fs/walk.ts";
@@ -12,13 +13,12 @@ export type {
   ServeInit,
 } from "https://deno.land/std@0.150.0/http/server.ts";
 export { Status } from "https://deno.land/std@0.150.0/http/http_status.ts";
+export { getCookies } from "https://deno.land/std@0.150.0/http/cookie.ts";
+export { acceptsLanguages } from "https://deno.land/std@0.150.0/http/negotiation.ts";
 export {
   typeByExtension,
 } from "https://deno.land/std@0.150.0/media_types/mod.ts";
 
-// -- rutt --
-export * as rutt from "https://deno.land/x/rutt@0.0.14/mod.ts";
-
 // -- esbuild --
 // @deno-types="https://deno.land/x/esbuild@v0.14.51/mod.d.ts"
 import * as esbuildWasm from "https://deno.land/x/esbuild@v0.14.51/wasm.js";
@@ -0,0 +1,177 @@
+import { acceptsLanguages, getCookies, Status } from "./deps.ts";
+import { I18nOptions } from "./types.ts";
+import { Locale, Messages } from "../runtime/i18n.ts";
+
+// The languages that are written from right to left.
+const RTL_LANGUAGES = new Set([
+  "ar",
+  "arc",
+  "ckb",
+  "dv",
+  "fa",
+  "ha",
+  "he",
+  "khw",
+  "ks",
+  "ku",
+  "ps",
+  "sd",
+  "ur",
+  "yi",
+]);
+
+// The request headers that the locale of a page without a prefix depends on.
+const LOCALE_VARY = "Accept-Language, Cookie";
+
+/**
+ * Add the request headers that the locale depends on to the `Vary` header of
+ * a response to a page without a locale prefix.
+ */
+export function withLocaleVary(res: Response): Response {
+  const headers = new Headers(res.headers);
+  headers.append("vary", LOCALE_VARY);
+  return new Response(res.body, {
+    status: res.status,
+    statusText: res.statusText,
+    headers,
+  });
+}
+
+/**
+ * Routes requests to their locale. Pages are served in the default locale
+ * without a prefix, and in the other locales under a `/<locale>` prefix.
+ * Requests with the prefix of the default locale are redirected to the page
+ * without it, so that every page has a single URL per locale.
+ */
+export class LocaleRouter {
+  #locales: string[];
+  #defaultLocale: string;
+  #detect: boolean;
+  #cookie: string;
+  #loadMessages?: (locale: string) => Messages | Promise<Messages>;
+  #messages = new Map<string, Promise<Messages>>();
+  #basePath: string;
+
+  constructor(options: I18nOptions, basePath: string) {
+    if (!options.locales.includes(options.defaultLocale)) {
+      throw new TypeError(
+        `The default locale must be one of the locales ('${options.defaultLocale}').`,
+      );
+    }
+    this.#locales = options.locales;
+    this.#defaultLocale = options.defaultLocale;
+    this.#detect = options.detect ?? true;
+    this.#cookie = options.cookie ?? "locale";
+    this.#loadMessages = options.messages;
+    this.#basePath = basePath;
+  }
+
+  /**
+   * Remove the locale prefix from the URL of a request, and return the request
+   * along with its locale. Requests with the prefix of the default locale are
+   * redirected to the URL without it. Page requests without a prefix are
+   * redirected to the locale that is preferred by the client, unless that is
+   * the default locale. The last element is `true` if the locale was chosen by
+   * the `Accept-Language` header and the locale cookie, so the response has to
+   * vary by them.
+   */
+  route(req: Request): Response | [Request, string, boolean] {
+    const url = new URL(req.url);
+    const path = url.pathname.slice(this.#basePath.length);
+    const segment = path.split("/")[1] ?? "";
+    const lang = this.#locales.find((locale) =>
+      locale.toLowerCase() === segment.toLowerCase()
+    );
+    if (lang !== undefined) {
+      const rest = path.slice(segment.length + 1);
+      url.pathname = this.#basePath === ""
+        ? rest || "/"
+        : this.#basePath + rest;
+      if (lang === this.#defaultLocale) {
+        return new Response(null, {
+          status: Status.PermanentRedirect,
+          headers: { location: url.href },
+        });
+      }
+      return [new Request(url.href, req), lang, false];
+    }
+
+    if (
+      this.#detect && req.method === "GET" &&
+      req.headers.get("accept")?.includes("text/html")
+    ) {
+      const preferred = this.#preferredLocale(req);
+      if (preferred !== this.#defaultLocale) {
+        return new Response(null, {
+          status: Status.TemporaryRedirect,
+          headers: {
+            location: this.#localeUrl(preferred, url),
+            vary: LOCALE_VARY,
+          },
+        });
+      }
+      return [req, this.#defaultLocale, true];
+    }
+    return [req, this.#defaultLocale, false];
+  }
+
+  /**
+   * Create the locale of a page. The messages of each locale are only loaded
+   * once.
+   *
+   * @param url The URL of the page, without the locale prefix.
+   */
+  async locale(lang: string, url: URL): Promise<Locale> {
+    let messages = this.#messages.get(lang);
+    if (messages === undefined) {
+      messages = Promise.resolve(this.#loadMessages?.(lang) ?? {});
+      // Try again on the next request if the messages failed to load.
+      messages.catch(() => this.#messages.delete(lang));
+      this.#messages.set(lang, messages);
+    }
+
+    const alternates = this.#locales.map((locale) => ({
+      lang: locale,
+      href: this.#localeUrl(locale, url),
+    }));
+    alternates.push({
+      lang: "x-default",
+      href: this.#localeUrl(this.#defaultLocale, url),
+    });
+
+    return {
+      lang,
+      dir: RTL_LANGUAGES.has(lang.split("-")[0].toLowerCase()) ? "rtl" : "ltr",
+      messages: await messages,
+      alternates,
+    };
+  }
+
+  // The locale from the cookie, or the best match for the `Accept-Language`
+  // header.
+  #preferredLocale(req: Request): string {
+    const cookie = getCookies(req.headers)[this.#cookie]?.toLowerCase();
+    const fromCookie = this.#locales.find((locale) =>
+      locale.toLowerCase() === cookie
+    );
+    return fromCookie ??
+      acceptsLanguages(
+        req,
+        this.#defaultLocale,
+        ...this.#locales.filter((locale) => locale !== this.#defaultLocale),
+      ) ??
+      this.#defaultLocale;
+  }
+
+  // The URL of a page in a locale, from its URL without a locale prefix.
+  #localeUrl(lang: string, url: URL): string {
+    const localized = new URL(url);
+    if (lang !== this.#defaultLocale) {
+      const path = url.pathname.slice(this.#basePath.length);
+      localized.pathname = `${this.#basePath}/${lang}${
+        path === "/" ? "" : path
+      }`;
+    }
+    return localized.href;
+  }
+}
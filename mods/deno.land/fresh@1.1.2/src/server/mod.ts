@@ -1,38 +1,59 @@
 import { ServerContext } from "./context.ts";
 import { serve } from "./deps.ts";
 export { Status } from "./deps.ts";
+export { FileCacheStore, MemoryCacheStore } from "./cache.ts";
 import {
   AppModule,
   ErrorPageModule,
   IslandModule,
+  LayoutModule,
   MiddlewareModule,
+  ParamMatcherModule,
   RouteModule,
   StartOptions,
   UnknownPageModule,
 } from "./types.ts";
 export type {
   AppProps,
+  AsyncComponent,
+  AsyncComponentProps,
+  BadRequestHandler,
+  BadRequestHandlerContext,
+  CachedResponse,
   ErrorHandler,
   ErrorHandlerContext,
   ErrorPageProps,
   FreshOptions,
+  GetStaticPaths,
   Handler,
   HandlerContext,
   Handlers,
+  I18nOptions,
+  LayoutProps,
+  MatchedParam,
+  MethodNotAllowedHandler,
+  MethodNotAllowedHandlerContext,
   MiddlewareHandler,
   MiddlewareHandlerContext,
   PageProps,
+  ParamMatcher,
   Plugin,
   PluginRenderResult,
   PluginRenderScripts,
   PluginRenderStyleTag,
+  Redirect,
+  RenderCacheStore,
   RenderFunction,
+  RenderResponseOptions,
+  Rewrite,
   RouteConfig,
   StartOptions,
+  TrailingSlash,
   UnknownHandler,
   UnknownHandlerContext,
   UnknownPageProps,
 } from "./types.ts";
+export type { BuiltinParamMatchers } from "./params.ts";
 export { RenderContext } from "./render.ts";
 export type { InnerRenderFunction } from "./render.ts";
 
@@ -42,10 +63,12 @@ export interface Manifest {
     | RouteModule
     | MiddlewareModule
     | AppModule
+    | LayoutModule
     | ErrorPageModule
     | UnknownPageModule
   >;
   islands: Record<string, IslandModule>;
+  params?: Record<string, ParamMatcherModule>;
   baseUrl: string;
   config?: DenoConfig;
 }
@@ -0,0 +1,21 @@
+const INT_REGEX = /^-?\d+$/;
+const UUID_REGEX =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const SLUG_REGEX = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+/** The param matchers that are always available, like `[id=int]`. */
+export const BUILTIN_PARAM_MATCHERS = {
+  int: {
+    match: (param: string) =>
+      INT_REGEX.test(param) && Number.isSafeInteger(Number(param)),
+    parse: (param: string) => Number(param),
+  },
+  uuid: {
+    match: (param: string) => UUID_REGEX.test(param),
+  },
+  slug: {
+    match: (param: string) => SLUG_REGEX.test(param),
+  },
+};
+
+export type BuiltinParamMatchers = typeof BUILTIN_PARAM_MATCHERS;
@@ -0,0 +1,280 @@
+/**
+ * Route groups are directories wrapped in parentheses, like `(marketing)`. They
+ * are used to organise routes and don't add a segment to the URL.
+ */
+export function isRouteGroup(part: string): boolean {
+  return part.startsWith("(") && part.endsWith(")");
+}
+
+/**
+ * Hostname directories are written as `@` followed by a hostname, like
+ * `@[tenant].example.com`. They can only be used at the root of the routes
+ * folder, and scope everything inside of them to matching hostnames.
+ */
+export function isHostnameSegment(part: string): boolean {
+  return part.startsWith("@");
+}
+
+/**
+ * Return the URLPattern hostname of a filesystem URL path inside of a hostname
+ * directory, or `undefined` if the path is not scoped to a hostname. Dynamic
+ * parts like `[tenant]` are exposed as params.
+ */
+export function pathToHostname(path: string): string | undefined {
+  const [first] = path.split("/");
+  if (!isHostnameSegment(first)) return undefined;
+  return first.slice(1).replace(/\[([^\]]+)\]/g, ":$1");
+}
+
+/**
+ * Optional segments are written as `[[name]]` and match both with and without
+ * the segment present in the URL.
+ */
+export function isOptionalSegment(part: string): boolean {
+  return part.startsWith("[[") && part.endsWith("]]");
+}
+
+/**
+ * Dynamic segments can be restricted with a param matcher by appending its
+ * name, like `[id=int]`. Returns the segment with the matcher removed, and the
+ * name of the matcher if there is one.
+ */
+export function splitParamMatcher(part: string): [string, string | undefined] {
+  const match = part.match(/^(\[+(?:\.\.\.)?[^\]=]+)=([^\]]+)(\]+)$/);
+  if (match === null) return [part, undefined];
+  return [match[1] + match[3], match[2]];
+}
+
+/**
+ * Return the param matchers that are used in a filesystem URL path, as pairs of
+ * the param name and the matcher name.
+ */
+export function pathToMatchers(path: string): [string, string][] {
+  const matchers: [string, string][] = [];
+  for (const part of path.split("/")) {
+    const [segment, matcher] = splitParamMatcher(part);
+    if (matcher === undefined) continue;
+    const param = segment.replace(/^\[+(\.\.\.)?/, "").replace(/\]+$/, "");
+    matchers.push([param, matcher]);
+  }
+  return matchers;
+}
+
+/** Transform a filesystem URL path to a `path-to-regex` style matcher. */
+export function pathToPattern(path: string): string {
+  const parts = path.split("/")
+    .filter((part) => !isRouteGroup(part) && !isHostnameSegment(part))
+    .map((part) => splitParamMatcher(part)[0]);
+  if (parts[parts.length - 1] === "index") {
+    parts.pop();
+  }
+  let route = "";
+  for (const part of parts) {
+    if (isOptionalSegment(part)) {
+      route += `{/:${part.slice(2, part.length - 2)}}?`;
+    } else if (part.startsWith("[...") && part.endsWith("]")) {
+      route += `/:${part.slice(4, part.length - 1)}*`;
+    } else if (part.startsWith("[") && part.endsWith("]")) {
+      route += `/:${part.slice(1, part.length - 1)}`;
+    } else {
+      route += `/${part}`;
+    }
+  }
+  // A route made up of only optional segments must still match the root.
+  if (parts.length === 0) {
+    route = "/";
+  } else if (parts.every(isOptionalSegment)) {
+    route += "{/}?";
+  }
+  return route;
+}
+
+/**
+ * Transform a filesystem URL path to the path of the route, as used by the
+ * generated `url()` helper. Dynamic segments are written as `:name`, optional
+ * segments as `:name?` and catch-all segments as `:name*`, e.g.
+ * `/books/:id`.
+ */
+export function pathToRoutePath(path: string): string {
+  const parts = path.split("/")
+    .filter((part) => !isRouteGroup(part) && !isHostnameSegment(part))
+    .map((part) => splitParamMatcher(part)[0]);
+  if (parts[parts.length - 1] === "index") {
+    parts.pop();
+  }
+  let route = "";
+  for (const part of parts) {
+    if (isOptionalSegment(part)) {
+      route += `/:${part.slice(2, part.length - 2)}?`;
+    } else if (part.startsWith("[...") && part.endsWith("]")) {
+      route += `/:${part.slice(4, part.length - 1)}*`;
+    } else if (part.startsWith("[") && part.endsWith("]")) {
+      route += `/:${part.slice(1, part.length - 1)}`;
+    } else {
+      route += `/${part}`;
+    }
+  }
+  return route === "" ? "/" : route;
+}
+
+/**
+ * Return the params of a filesystem URL path, in the order in which they appear
+ * in the path. The params of a hostname directory, like `@[tenant].example.com`,
+ * come first. Optional and catch-all params don't have to be present in the
+ * URL.
+ */
+export function pathToParams(
+  path: string,
+): { name: string; optional: boolean; matcher?: string }[] {
+  const params = [];
+  for (const part of path.split("/")) {
+    if (isHostnameSegment(part)) {
+      for (const [_, name] of part.matchAll(/\[([^\]]+)\]/g)) {
+        params.push({ name, optional: false });
+      }
+      continue;
+    }
+    const [segment, matcher] = splitParamMatcher(part);
+    if (!segment.startsWith("[") || !segment.endsWith("]")) continue;
+    const name = segment.replace(/^\[+(\.\.\.)?/, "").replace(/\]+$/, "");
+    const optional = isOptionalSegment(segment) || segment.startsWith("[...");
+    params.push({ name, optional, matcher });
+  }
+  return params;
+}
+
+/**
+ * Sort pages by their relative routing priority, based on the parts in the
+ * route matcher and their param matchers. Routes that are scoped to a hostname
+ * come first, so that they take precedence over the routes for all hostnames.
+ */
+export function sortRoutes<
+  T extends {
+    pattern: string;
+    hostname?: string;
+    matchers?: Record<string, unknown>;
+  },
+>(
+  routes: T[],
+) {
+  routes.sort((a, b) => {
+    if ((a.hostname === undefined) !== (b.hostname === undefined)) {
+      return a.hostname === undefined ? 1 : -1;
+    }
+    const partsA = splitPattern(a.pattern);
+    const partsB = splitPattern(b.pattern);
+    for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+      const partA = partsA[i];
+      const partB = partsB[i];
+      if (partA === undefined) return -1;
+      if (partB === undefined) return 1;
+      const priorityA = segmentPriority(partA, a.matchers);
+      const priorityB = segmentPriority(partB, b.matchers);
+      if (partA === partB && priorityA === priorityB) continue;
+      return Math.sign(priorityB - priorityA);
+    }
+    return 0;
+  });
+}
+
+/**
+ * Split a route matcher into its segments. Optional groups (e.g. `{/:id}?`)
+ * are kept together as a single segment.
+ */
+export function splitPattern(pattern: string): string[] {
+  const parts: string[] = [];
+  let current = "";
+  let depth = 0;
+  for (const char of pattern) {
+    if (depth === 0 && (char === "/" || char === "{")) {
+      parts.push(current);
+      current = "";
+    }
+    if (char === "{") depth++;
+    if (char === "}") depth--;
+    if (depth > 0 || char !== "/") current += char;
+  }
+  parts.push(current);
+  return parts;
+}
+
+/**
+ * The priority of a route matcher segment. Static segments have the highest
+ * priority, followed by dynamic segments with a param matcher, optional
+ * segments, dynamic segments and wildcards. Optional segments and wildcards
+ * with a param matcher come before the ones without, as requests fall through
+ * to the next route if the param doesn't match.
+ */
+function segmentPriority(
+  part: string,
+  matchers: Record<string, unknown> = {},
+): number {
+  const name = part.match(/:([\w$]+)/)?.[1];
+  const matched = name !== undefined && name in matchers;
+  if (part.startsWith("{/:") && !part.includes("*")) return matched ? 2.5 : 2;
+  if (part.startsWith(":") && part.endsWith("*")) return matched ? 0.5 : 0;
+  if (part.startsWith(":")) return matched ? 3 : 1;
+  return 4;
+}
+
+const STATIC_SEGMENT = /^[^:*?+(){}\\]*$/;
+const DYNAMIC_SEGMENT = /^:[\w$]+$/;
+const WILDCARD_SEGMENT = /^:[\w$]+\*$/;
+
+/**
+ * Check if every URL that matches the pattern `b` also matches the pattern
+ * `a`. This only understands static, dynamic and wildcard segments; for other
+ * patterns it conservatively returns `false`.
+ */
+function patternCovers(a: string[], b: string[]): boolean {
+  for (let i = 0; i < a.length; i++) {
+    const partA = a[i];
+    const partB = b[i];
+    if (WILDCARD_SEGMENT.test(partA) && i === a.length - 1) return true;
+    if (partB === undefined) return false;
+    if (STATIC_SEGMENT.test(partA)) {
+      if (partA !== partB) return false;
+    } else if (DYNAMIC_SEGMENT.test(partA)) {
+      const isSingleSegment = DYNAMIC_SEGMENT.test(partB) ||
+        (STATIC_SEGMENT.test(partB) && partB !== "");
+      if (!isSingleSegment) return false;
+    } else {
+      return false;
+    }
+  }
+  return a.length === b.length;
+}
+
+/**
+ * Find a route that can never match, because a route that is sorted before it
+ * always matches first. Routes with param matchers don't shadow other routes,
+ * as requests fall through to the next route if a param doesn't match.
+ *
+ * Returns an error message naming both route files, or `undefined` if all
+ * routes can match.
+ */
+export function findShadowedRoute(
+  routes: {
+    pattern: string;
+    hostname?: string;
+    matchers: Record<string, unknown>;
+    file: string;
+  }[],
+): string | undefined {
+  const parts = routes.map((route) => splitPattern(route.pattern));
+  for (let i = 0; i < routes.length; i++) {
+    if (Object.keys(routes[i].matchers).length > 0) continue;
+    for (let j = i + 1; j < routes.length; j++) {
+      if (routes[i].hostname !== routes[j].hostname) continue;
+      if (!patternCovers(parts[i], parts[j])) continue;
+      const a = routes[i];
+      const b = routes[j];
+      const normalize = (pattern: string) => pattern.replace(/:[\w$]+/g, ":");
+      if (normalize(a.pattern) === normalize(b.pattern)) {
+        return `Routes '${a.file}' and '${b.file}' resolve to the same pattern ('${a.pattern}'), so '${b.file}' can never match.`;
+      }
+      return `Route '${b.file}' ('${b.pattern}') can never match, because route '${a.file}' ('${a.pattern}') always matches first.`;
+    }
+  }
+  return undefined;
+}
@@ -1,9 +1,23 @@
 import { renderToString } from "preact-render-to-string";
-import { ComponentChildren, ComponentType, h, options } from "preact";
+import {
+  ComponentChildren,
+  ComponentType,
+  createContext,
+  Fragment,
+  FunctionComponent,
+  h,
+  isValidElement,
+  options,
+  VNode,
+} from "preact";
 import {
   AppModule,
+  AsyncComponent,
+  AsyncComponentProps,
   ErrorPage,
   Island,
+  Layout,
+  LayoutProps,
   Plugin,
   PluginRenderFunctionResult,
   PluginRenderResult,
@@ -15,8 +29,12 @@ import {
 import { HEAD_CONTEXT } from "../runtime/head.ts";
 import { CSP_CONTEXT, nonce, NONE, UNSAFE_INLINE } from "../runtime/csp.ts";
 import { ContentSecurityPolicy } from "../runtime/csp.ts";
-import { bundleAssetUrl } from "./constants.ts";
-import { assetHashingHook } from "../runtime/utils.ts";
+import { SUSPENSE_CONTEXT, SuspenseRenderer } from "../runtime/suspense.ts";
+import type { PartialPage } from "../runtime/navigation.ts";
+import { Locale, LOCALE_CONTEXT } from "../runtime/i18n.ts";
+import { HydrationProps, isHydrationStrategy } from "../runtime/hydration.ts";
+import { BUILD_ID, bundleAssetUrl } from "./constants.ts";
+import { ASSET_CACHE_BUST_KEY, assetHashingHook } from "../runtime/utils.ts";
 import { htmlEscapeJsonString } from "./htmlescape.ts";
 
 export interface RenderOptions<Data> {
@@ -24,14 +42,31 @@ export interface RenderOptions<Data> {
   islands: Island[];
   plugins: Plugin[];
   app: AppModule;
+  layouts: Layout[];
   imports: string[];
+  /** The chunks that the scripts of the page import are added to this. */
   preloads: string[];
+  /**
+   * Return the chunks that a bundle, like `/main.js`, imports statically. None
+   * are known until the scripts were bundled.
+   */
+  getPreloads: (path: string) => string[];
   url: URL;
   params: Record<string, string | string[]>;
+  req: Request;
+  state: Record<string, unknown>;
   renderFn: RenderFunction;
+  basePath: string;
+  /** If pages are navigated to by swapping in their partial render. */
+  partialNavigation: boolean;
+  /** Render only the route, without the app, to a `PartialPage`. */
+  partial: boolean;
+  /** How many milliseconds to wait for suspense boundaries to render. */
+  suspenseTimeout: number;
   data?: Data;
   error?: unknown;
   lang?: string;
+  locale?: Locale;
 }
 
 export type InnerRenderFunction = () => string;
@@ -43,12 +78,20 @@ export class RenderContext {
   #url: URL;
   #route: string;
   #lang: string;
+  #dir?: "ltr" | "rtl";
 
-  constructor(id: string, url: URL, route: string, lang: string) {
+  constructor(
+    id: string,
+    url: URL,
+    route: string,
+    lang: string,
+    dir?: "ltr" | "rtl",
+  ) {
     this.#id = id;
     this.#url = url;
     this.#route = route;
     this.#lang = lang;
+    this.#dir = dir;
   }
 
   /** A unique ID for this logical JIT render. */
@@ -93,6 +136,14 @@ export class RenderContext {
   set lang(lang: string) {
     this.#lang = lang;
   }
+
+  /** The text direction of the page. Not set by default. */
+  get dir(): "ltr" | "rtl" | undefined {
+    return this.#dir;
+  }
+  set dir(dir: "ltr" | "rtl" | undefined) {
+    this.#dir = dir;
+  }
 }
 
 function defaultCsp() {
@@ -103,12 +154,22 @@ function defaultCsp() {
 }
 
 /**
- * This function renders out a page. Rendering is synchronous and non streaming.
- * Suspense boundaries are not supported.
+ * This function renders out a page. Rendering is synchronous, except for
+ * `<Suspense>` boundaries whose children suspend by throwing a promise. If there
+ * are any, the page is returned as a stream that starts with the document up to
+ * the fallbacks of these boundaries. The children of each boundary are then
+ * rendered and streamed in as soon as their promise resolves.
+ *
+ * Async page, layout and app components are awaited while rendering, and the
+ * page is rendered again with what they resolved to. If one of them returns a
+ * `Response`, that response is returned instead.
  */
 export async function render<Data>(
   opts: RenderOptions<Data>,
-): Promise<[string, ContentSecurityPolicy | undefined]> {
+): Promise<
+  | [string | ReadableStream<Uint8Array>, ContentSecurityPolicy | undefined]
+  | Response
+> {
   const props: Record<string, unknown> = {
     params: opts.params,
     url: opts.url,
@@ -122,16 +183,105 @@ export async function render<Data>(
   const csp: ContentSecurityPolicy | undefined = opts.route.csp
     ? defaultCsp()
     : undefined;
+  // Pages with a policy are always loaded in full, because the scripts of the
+  // pages that are swapped in would not match it.
+  const navigation = opts.partialNavigation && !csp;
   const headComponents: ComponentChildren[] = [];
+  const islands: IslandState = {
+    encountered: new Set(),
+    eager: new Set(),
+    props: [],
+  };
+  const boundaries: SuspenseBoundary[] = [];
+  const state: RenderState = {
+    basePath: opts.basePath,
+    islands: opts.islands,
+    page: islands,
+  };
+  for (const island of opts.islands) {
+    ISLAND_COMPONENTS.set(island.component, island);
+  }
+
+  // Page, layout and app components are called with the request and state
+  // while rendering. If one of them returns a promise, the render is stopped,
+  // and the page is rendered again once the promise resolved, with what it
+  // resolved to in place of the component.
+  function resolveComponent<P extends object>(
+    component: ComponentType<P> | AsyncComponent<P>,
+    props: P,
+  ): ComponentType<Record<never, never>> {
+    if (component.prototype?.render) {
+      return () => h(component as ComponentType<P>, props);
+    }
+    let resolved: { value: unknown } | undefined;
+    return (_, context: Record<string, unknown>) => {
+      if (resolved !== undefined) return resolved.value as VNode;
+      const res = (component as FunctionComponent<AsyncComponentProps<P>>)(
+        { ...props, req: opts.req, state: opts.state },
+        context,
+      );
+      if (!isThenable(res)) return res as VNode;
+      throw new PendingComponent(
+        Promise.resolve(res).then((value) => {
+          resolved = { value };
+          return value;
+        }),
+      );
+    };
+  }
+
+  // Compose the layouts around the page component, from the innermost layout
+  // to the outermost one.
+  let Component = resolveComponent(
+    opts.route.component! as unknown as ComponentType<typeof props>,
+    props,
+  );
+  for (const layout of [...opts.layouts].reverse()) {
+    Component = resolveComponent(
+      layout.component,
+      { ...props, Component } as LayoutProps,
+    );
+  }
+
+  let App: ComponentType<Record<never, never>> = Component;
+  if (!opts.partial) {
+    if (navigation) {
+      // Mark the part of the page that is swapped out when navigating.
+      const Inner = Component;
+      Component = () => h("!--__FRSH_PARTIAL--", null, h(Inner, {}));
+    }
+    App = resolveComponent(opts.app.default, { Component });
+  }
+
+  // Render the children of a suspense boundary right away. If they suspend,
+  // the fallback is rendered in their place, and the boundary is remembered so
+  // that the children can be streamed in later.
+  const renderSuspense: SuspenseRenderer = (children, fallback, context) => {
+    try {
+      const html = renderVNode(h(Fragment, null, children), context);
+      return h("!--__FRSH_SUSPENSE--", {
+        dangerouslySetInnerHTML: { __html: html },
+      });
+    } catch (err) {
+      if (!isThenable(err)) throw err;
+      const id = boundaries.push({ promise: err, children, context }) - 1;
+      const html = renderVNode(h(Fragment, null, fallback), context);
+      return h(`!--__FRSH_SUSPENSE:${id}--`, {
+        dangerouslySetInnerHTML: { __html: html },
+      });
+    }
+  };
 
   const vnode = h(CSP_CONTEXT.Provider, {
     value: csp,
     children: h(HEAD_CONTEXT.Provider, {
       value: headComponents,
-      children: h(opts.app.default, {
-        Component() {
-          return h(opts.route.component! as ComponentType<unknown>, props);
-        },
+      children: h(SUSPENSE_CONTEXT.Provider, {
+        value: renderSuspense,
+        children: h(LOCALE_CONTEXT.Provider, {
+          value: opts.locale,
+          children: h(App, {}),
+        }),
       }),
     }),
   });
@@ -140,82 +290,415 @@ export async function render<Data>(
     crypto.randomUUID(),
     opts.url,
     opts.route.pattern,
-    opts.lang ?? "en",
+    opts.locale?.lang ?? opts.lang ?? "en",
+    opts.locale?.dir,
   );
 
-  if (csp) {
-    // Clear the csp
-    const newCsp = defaultCsp();
-    csp.directives = newCsp.directives;
-    csp.reportOnly = newCsp.reportOnly;
+  // Renders a vnode with the islands and the base path of this page. If the
+  // render throws, the island props, boundaries and head components that were
+  // added by it are discarded again.
+  function renderVNode(
+    vnode: VNode,
+    context?: Record<string, unknown>,
+  ): string {
+    const islandCount = islands.props.length;
+    const boundaryCount = boundaries.length;
+    const headCount = headComponents.length;
+    try {
+      return renderToString(
+        h(RENDER_STATE.Provider, { value: state, children: vnode }),
+        context,
+      );
+    } catch (err) {
+      islands.props.length = islandCount;
+      boundaries.length = boundaryCount;
+      headComponents.length = headCount;
+      throw err;
+    }
   }
-  // Clear the head components
-  headComponents.splice(0, headComponents.length);
 
-  // Setup the interesting VNode types
-  ISLANDS.splice(0, ISLANDS.length, ...opts.islands);
+  const plugins = opts.plugins.filter((p) => p.render !== null);
 
-  // Clear the encountered vnodes
-  ENCOUNTERED_ISLANDS.clear();
+  // Render once through the render function and the render hooks of all
+  // plugins. This happens for the page, and for every suspense boundary that
+  // is streamed in.
+  async function renderPass(
+    realRender: () => string,
+  ): Promise<[string, [Plugin, PluginRenderResult][]]> {
+    const pending = [...plugins];
+    const renderResults: [Plugin, PluginRenderResult][] = [];
+    let bodyHtml: string | null = null;
 
-  // Clear the island props
-  ISLAND_PROPS = [];
+    function render(): PluginRenderFunctionResult {
+      const plugin = pending.shift();
+      if (plugin) {
+        const res = plugin.render!({ render });
+        if (res === undefined) {
+          throw new Error(
+            `${plugin?.name}'s render hook did not return a PluginRenderResult object.`,
+          );
+        }
+        renderResults.push([plugin, res]);
+      } else {
+        bodyHtml = realRender();
+      }
+      if (bodyHtml === null) {
+        throw new Error(
+          `The 'render' function was not called by ${plugin?.name}'s render hook.`,
+        );
+      }
+      return {
+        htmlText: bodyHtml,
+        requiresHydration: islands.encountered.size > 0,
+      };
+    }
+
+    await opts.renderFn(ctx, () => render().htmlText);
 
-  let bodyHtml: string | null = null;
+    if (bodyHtml === null) {
+      throw new Error("The `render` function was not called by the renderer.");
+    }
 
-  function realRender(): string {
-    bodyHtml = renderToString(vnode);
-    return bodyHtml;
+    return [bodyHtml, renderResults];
   }
 
-  const plugins = opts.plugins.filter((p) => p.render !== null);
-  const renderResults: [Plugin, PluginRenderResult][] = [];
+  // Every async component stops the render until its promise resolved, and
+  // the page is rendered again from the start.
+  let bodyHtml: string;
+  let renderResults: [Plugin, PluginRenderResult][];
+  for (;;) {
+    if (csp) {
+      // Clear the csp
+      const newCsp = defaultCsp();
+      csp.directives = newCsp.directives;
+      csp.reportOnly = newCsp.reportOnly;
+    }
+    // Clear the head components, and what the previous render added
+    headComponents.splice(0, headComponents.length);
+    ctx.styles.splice(0, ctx.styles.length);
+    islands.encountered.clear();
+    islands.eager.clear();
+    try {
+      [bodyHtml, renderResults] = await renderPass(() => renderVNode(vnode));
+      break;
+    } catch (err) {
+      if (!(err instanceof PendingComponent)) throw err;
+      const res = await err.promise;
+      if (res instanceof Response) return res;
+    }
+  }
 
-  function render(): PluginRenderFunctionResult {
-    const plugin = plugins.shift();
-    if (plugin) {
-      const res = plugin.render!({ render });
-      if (res === undefined) {
-        throw new Error(
-          `${plugin?.name}'s render hook did not return a PluginRenderResult object.`,
+  let flushedStyles = ctx.styles.length;
+
+  // All suspense boundaries, including the nested ones, have to render before
+  // the same deadline.
+  const suspenseDeadline = Date.now() + opts.suspenseTimeout;
+
+  // Render the children of a suspense boundary once their promise resolves.
+  // Returns the style tags that were added by the render, and the HTML of the
+  // children, or `null` if the children failed to render, or did not render
+  // before the deadline.
+  async function renderBoundary(
+    id: number,
+  ): Promise<[styles: string, html: string] | null> {
+    const { children, context } = boundaries[id];
+    let { promise } = boundaries[id];
+    for (;;) {
+      if (!await settlesBefore(promise, suspenseDeadline)) {
+        // The fallback stays in place.
+        console.error(
+          `%cA suspense boundary did not render within ${opts.suspenseTimeout}ms.`,
+          "color:red",
         );
+        return null;
+      }
+      try {
+        // Head components can't be added anymore, as the head was sent.
+        const head: ComponentChildren[] = [];
+        const [html, results] = await renderPass(() =>
+          renderVNode(
+            h(HEAD_CONTEXT.Provider, { value: head, children }),
+            context,
+          )
+        );
+        if (head.length > 0) {
+          console.warn(
+            "%c<Head> components in suspense boundaries are ignored.",
+            "color:orange",
+          );
+        }
+        renderResults = [...renderResults, ...results];
+        return [renderToString(h(Fragment, null, newStyles(results))), html];
+      } catch (err) {
+        if (isThenable(err)) {
+          promise = err;
+          continue;
+        }
+        // The fallback stays in place.
+        console.error(
+          "%cAn error occurred while rendering a suspense boundary.",
+          "color:red",
+          err,
+        );
+        return null;
       }
-      renderResults.push([plugin, res]);
-    } else {
-      realRender();
     }
-    if (bodyHtml === null) {
-      throw new Error(
-        `The 'render' function was not called by ${plugin?.name}'s render hook.`,
-      );
+  }
+
+  // The style tags for the styles that were added since the page was rendered.
+  // Their ids are dropped, as they would clash with the styles of the page,
+  // unless they are the styles of a partial page, which replace the ones of
+  // the page that was shown before.
+  function newStyles(
+    results: [Plugin, PluginRenderResult][],
+    ids = false,
+  ): VNode[] {
+    const styles: VNode[] = [];
+    if (ctx.styles.length > flushedStyles) {
+      styles.push(h("style", {
+        id: ids ? "__FRSH_STYLE" : undefined,
+        dangerouslySetInnerHTML: {
+          __html: ctx.styles.slice(flushedStyles).join("\n"),
+        },
+      }));
+      flushedStyles = ctx.styles.length;
     }
-    return {
-      htmlText: bodyHtml,
-      requiresHydration: ENCOUNTERED_ISLANDS.size > 0,
+    for (const [_, res] of results) {
+      for (const style of res.styles ?? []) {
+        styles.push(h("style", {
+          id: ids ? style.id : undefined,
+          dangerouslySetInnerHTML: { __html: style.cssText },
+          media: style.media,
+        }));
+      }
+    }
+    return styles;
+  }
+
+  if (opts.partial) {
+    flushedStyles = 0;
+    const page: PartialPage = {
+      head: renderToString(
+        h(RENDER_STATE.Provider, { value: state, children: headComponents }),
+      ),
+      styles: renderToString(
+        h(Fragment, null, newStyles(renderResults, true)),
+      ),
+      body: bodyHtml,
+      lang: ctx.lang,
+      dir: ctx.dir,
+      state: [islands.props, []],
+      islands: {},
+      lazyIslands: {},
+      plugins: [],
     };
+
+    // There is no stream to send the suspense boundaries in later, so they are
+    // rendered in place of their fallbacks.
+    for (let id = 0; id < boundaries.length; id++) {
+      const boundary = await renderBoundary(id);
+      const start = `<!--__FRSH_SUSPENSE:${id}-->`;
+      const end = `</!--__FRSH_SUSPENSE:${id}-->`;
+      const i = page.body.indexOf(start);
+      const j = page.body.indexOf(end, i);
+      if (boundary === null || i === -1 || j === -1) continue;
+      page.styles += boundary[0];
+      page.body = page.body.slice(0, i) + boundary[1] +
+        page.body.slice(j + end.length);
+    }
+
+    for (const [plugin, res] of renderResults) {
+      for (const hydrate of res.scripts ?? []) {
+        page.state[1].push(hydrate.state);
+        page.plugins.push(bundleAssetUrl(
+          `/plugin-${plugin.name}-${hydrate.entrypoint}.js`,
+          opts.basePath,
+        ));
+      }
+    }
+    for (const island of islands.encountered) {
+      const url = bundleAssetUrl(`/island-${island.id}.js`, opts.basePath);
+      if (islands.eager.has(island)) {
+        page.islands[island.id] = url;
+      } else {
+        page.lazyIslands[island.id] = url;
+      }
+    }
+
+    return [JSON.stringify(page), csp];
   }
 
-  await opts.renderFn(ctx, () => render().htmlText);
+  const imports = opts.imports.map((url) => [url, createNonce(csp)] as const);
+  const preload = (url: string) => {
+    imports.push([url, createNonce(csp)] as const);
+  };
 
-  if (bodyHtml === null) {
-    throw new Error("The `render` function was not called by the renderer.");
+  if (navigation) {
+    // Mark the head components, which are replaced when navigating.
+    headComponents.splice(
+      0,
+      headComponents.length,
+      h("!--__FRSH_HEAD--", null, [...headComponents]),
+    );
   }
 
-  bodyHtml = bodyHtml as string;
+  const styleTags: PluginRenderStyleTag[] = [];
+  for (const [_, res] of renderResults) {
+    styleTags.splice(styleTags.length, 0, ...res.styles ?? []);
+  }
 
-  const imports = opts.imports.map((url) => {
-    const randomNonce = crypto.randomUUID().replace(/-/g, "");
-    if (csp) {
-      csp.directives.scriptSrc = [
-        ...csp.directives.scriptSrc ?? [],
-        nonce(randomNonce),
-      ];
-    }
-    return [url, randomNonce] as const;
+  const styles: VNode[] = [];
+  if (ctx.styles.length > 0) {
+    const node = h("style", {
+      id: "__FRSH_STYLE",
+      dangerouslySetInnerHTML: { __html: ctx.styles.join("\n") },
+    });
+    styles.splice(0, 0, node);
+  }
+
+  for (const style of styleTags) {
+    const node = h("style", {
+      id: style.id,
+      dangerouslySetInnerHTML: { __html: style.cssText },
+      media: style.media,
+    });
+    styles.splice(0, 0, node);
+  }
+
+  // Mark the styles of the page, which are replaced when navigating.
+  headComponents.splice(
+    0,
+    0,
+    ...navigation ? [h("!--__FRSH_STYLES--", null, styles)] : styles,
+  );
+
+  if (boundaries.length === 0) {
+    bodyHtml += hydrationScripts(
+      renderResults,
+      islands,
+      opts.basePath,
+      navigation,
+      preload,
+      () => createNonce(csp),
+    );
+    preloadChunks(opts, imports.map(([url]) => url));
+
+    const html = template({
+      bodyHtml,
+      headComponents,
+      imports,
+      preloads: opts.preloads,
+      lang: ctx.lang,
+      dir: ctx.dir,
+      basePath: opts.basePath,
+    });
+
+    return [html, csp];
+  }
+
+  // The headers are sent before the suspense boundaries are streamed in, so
+  // all inline scripts that follow share a nonce that is known up front.
+  const streamNonce = createNonce(csp);
+
+  // Start loading the scripts that are already known to be needed. The islands
+  // in the suspense boundaries are only imported by the hydration script at
+  // the end of the stream.
+  hydrationScripts(
+    renderResults,
+    islands,
+    opts.basePath,
+    navigation,
+    preload,
+    () => streamNonce,
+  );
+  preloadChunks(opts, imports.map(([url]) => url));
+
+  bodyHtml += `<script nonce="${streamNonce}">${SUSPENSE_SCRIPT}</script>`;
+
+  const html = template({
+    bodyHtml,
+    headComponents,
+    imports,
+    preloads: opts.preloads,
+    lang: ctx.lang,
+    dir: ctx.dir,
+    basePath: opts.basePath,
   });
+  const end = "</body></html>";
+  if (!html.endsWith(end)) {
+    throw new Error("The page template does not end with the document body.");
+  }
 
-  const state: [islands: unknown[], plugins: unknown[]] = [ISLAND_PROPS, []];
-  const styleTags: PluginRenderStyleTag[] = [];
+  const encoder = new TextEncoder();
+  let cancelled = false;
+  const body = new ReadableStream<Uint8Array>({
+    async start(controller) {
+      const write = (chunk: string) => {
+        if (chunk && !cancelled) controller.enqueue(encoder.encode(chunk));
+      };
+      write(html.slice(0, -end.length));
+
+      // Boundaries can be nested, so every boundary that is streamed in can
+      // add new ones.
+      const tasks = new Set<Promise<void>>();
+      let scheduled = 0;
+      const schedule = () => {
+        for (; scheduled < boundaries.length; scheduled++) {
+          const id = scheduled;
+          const task: Promise<void> = renderBoundary(id).then((boundary) => {
+            if (boundary !== null) {
+              const [styles, html] = boundary;
+              write(
+                styles +
+                  `<template id="__FRSH_SUSPENSE_${id}">${html}</template>` +
+                  `<script nonce="${streamNonce}">__FRSH_SUSPENSE(${id})</script>`,
+              );
+            }
+            tasks.delete(task);
+          });
+          tasks.add(task);
+        }
+      };
+      schedule();
+      while (tasks.size > 0) {
+        await Promise.race(tasks);
+        schedule();
+      }
+
+      write(
+        hydrationScripts(
+          renderResults,
+          islands,
+          opts.basePath,
+          navigation,
+          () => {},
+          () => streamNonce,
+        ) + end,
+      );
+      if (!cancelled) controller.close();
+    },
+    cancel() {
+      cancelled = true;
+    },
+  });
+
+  return [body, csp];
+}
+
+/**
+ * Create the script tags that hydrate the islands and load the plugin scripts
+ * of a page, and that enable partial navigation if `navigation` is set. The URL
+ * of every script that is imported is passed to `preload`.
+ */
+function hydrationScripts(
+  renderResults: [Plugin, PluginRenderResult][],
+  islands: IslandState,
+  basePath: string,
+  navigation: boolean,
+  preload: (url: string) => void,
+  createNonce: () => string,
+): string {
+  const state: [islands: unknown[], plugins: unknown[]] = [islands.props, []];
 
   let script =
     `const STATE_COMPONENT = document.getElementById("__FRSH_STATE");const STATE = JSON.parse(STATE_COMPONENT?.textContent ?? "[[],[]]");`;
@@ -223,115 +706,173 @@ export async function render<Data>(
   for (const [plugin, res] of renderResults) {
     for (const hydrate of res.scripts ?? []) {
       const i = state[1].push(hydrate.state) - 1;
-      const randomNonce = crypto.randomUUID().replace(/-/g, "");
-      if (csp) {
-        csp.directives.scriptSrc = [
-          ...csp.directives.scriptSrc ?? [],
-          nonce(randomNonce),
-        ];
-      }
       const url = bundleAssetUrl(
         `/plugin-${plugin.name}-${hydrate.entrypoint}.js`,
+        basePath,
       );
-      imports.push([url, randomNonce] as const);
+      preload(url);
 
       script += `import p${i} from "${url}";p${i}(STATE[1][${i}]);`;
     }
-    styleTags.splice(styleTags.length, 0, ...res.styles ?? []);
   }
 
-  if (ENCOUNTERED_ISLANDS.size > 0) {
+  if (islands.encountered.size > 0 || navigation) {
     // Load the main.js script
-    {
-      const randomNonce = crypto.randomUUID().replace(/-/g, "");
-      if (csp) {
-        csp.directives.scriptSrc = [
-          ...csp.directives.scriptSrc ?? [],
-          nonce(randomNonce),
-        ];
-      }
-      const url = bundleAssetUrl("/main.js");
-      imports.push([url, randomNonce] as const);
-    }
+    const url = bundleAssetUrl("/main.js", basePath);
+    preload(url);
 
-    script += `import { revive } from "${bundleAssetUrl("/main.js")}";`;
+    script += navigation
+      ? `import { enableNavigation, revive } from "${url}";`
+      : `import { revive } from "${url}";`;
 
-    // Prepare the inline script that loads and revives the islands
+    // Prepare the inline script that loads and revives the islands. Islands
+    // that are only hydrated lazily are imported by `revive` when needed.
     let islandRegistry = "";
-    for (const island of ENCOUNTERED_ISLANDS) {
-      const randomNonce = crypto.randomUUID().replace(/-/g, "");
-      if (csp) {
-        csp.directives.scriptSrc = [
-          ...csp.directives.scriptSrc ?? [],
-          nonce(randomNonce),
-        ];
+    const lazyIslands: Record<string, string> = {};
+    for (const island of islands.encountered) {
+      const url = bundleAssetUrl(`/island-${island.id}.js`, basePath);
+      if (!islands.eager.has(island)) {
+        lazyIslands[island.id] = url;
+        continue;
       }
-      const url = bundleAssetUrl(`/island-${island.id}.js`);
-      imports.push([url, randomNonce] as const);
+      preload(url);
       script += `import ${island.name} from "${url}";`;
       islandRegistry += `${island.id}:${island.name},`;
     }
-    script += `revive({${islandRegistry}}, STATE[0]);`;
+    const revive = Object.keys(lazyIslands).length > 0
+      ? `revive({${islandRegistry}}, STATE[0], ${JSON.stringify(lazyIslands)})`
+      : `revive({${islandRegistry}}, STATE[0])`;
+    script += navigation
+      ? `enableNavigation(revive, ${revive});`
+      : `${revive};`;
   }
 
-  if (state[0].length > 0 || state[1].length > 0) {
-    // Append state to the body
-    bodyHtml += `<script id="__FRSH_STATE" type="application/json">${
-      htmlEscapeJsonString(JSON.stringify(state))
-    }</script>`;
+  if (state[0].length === 0 && state[1].length === 0 && !navigation) {
+    return "";
+  }
 
-    // Append the inline script to the body
-    const randomNonce = crypto.randomUUID().replace(/-/g, "");
-    if (csp) {
-      csp.directives.scriptSrc = [
-        ...csp.directives.scriptSrc ?? [],
-        nonce(randomNonce),
-      ];
+  // Append the state and the inline script to the body
+  return `<script id="__FRSH_STATE" type="application/json">${
+    htmlEscapeJsonString(JSON.stringify(state))
+  }</script><script type="module" nonce="${createNonce()}">${script}</script>`;
+}
+
+/**
+ * Add the chunks that the scripts of a page import to `opts.preloads`, so that
+ * they are loaded along with the scripts instead of after them. The page is not
+ * held up by the bundling of the scripts, so pages that are rendered before the
+ * scripts were bundled have no preloads.
+ */
+function preloadChunks<Data>(
+  opts: RenderOptions<Data>,
+  scripts: string[],
+) {
+  const prefix = bundleAssetUrl("", opts.basePath);
+  for (const url of scripts) {
+    if (!url.startsWith(prefix)) continue;
+    for (const chunk of opts.getPreloads(url.slice(prefix.length))) {
+      const href = bundleAssetUrl(chunk, opts.basePath);
+      if (!scripts.includes(href) && !opts.preloads.includes(href)) {
+        opts.preloads.push(href);
+      }
     }
-    bodyHtml +=
-      `<script type="module" nonce="${randomNonce}">${script}</script>`;
   }
+}
 
-  if (ctx.styles.length > 0) {
-    const node = h("style", {
-      id: "__FRSH_STYLE",
-      dangerouslySetInnerHTML: { __html: ctx.styles.join("\n") },
-    });
-    headComponents.splice(0, 0, node);
+/** Create a nonce for an inline script, and allow it in the policy. */
+function createNonce(csp: ContentSecurityPolicy | undefined): string {
+  const randomNonce = crypto.randomUUID().replace(/-/g, "");
+  if (csp) {
+    csp.directives.scriptSrc = [
+      ...csp.directives.scriptSrc ?? [],
+      nonce(randomNonce),
+    ];
   }
+  return randomNonce;
+}
 
-  for (const style of styleTags) {
-    const node = h("style", {
-      id: style.id,
-      dangerouslySetInnerHTML: { __html: style.cssText },
-      media: style.media,
-    });
-    headComponents.splice(0, 0, node);
+function isThenable(value: unknown): value is PromiseLike<unknown> {
+  return typeof (value as PromiseLike<unknown> | null)?.then === "function";
+}
+
+// Thrown while rendering by a component that returned a promise.
+class PendingComponent {
+  promise: Promise<unknown>;
+
+  constructor(promise: Promise<unknown>) {
+    this.promise = promise;
   }
+}
 
-  const html = template({
-    bodyHtml,
-    headComponents,
-    imports,
-    preloads: opts.preloads,
-    lang: ctx.lang,
+// Waits for the promise to settle. Returns `false` if it did not settle before
+// the deadline.
+async function settlesBefore(
+  promise: PromiseLike<unknown>,
+  deadline: number,
+): Promise<boolean> {
+  let timer: number | undefined;
+  const timeout = new Promise<boolean>((resolve) => {
+    timer = setTimeout(
+      () => resolve(false),
+      Math.max(0, deadline - Date.now()),
+    );
   });
+  try {
+    return await Promise.race([
+      Promise.resolve(promise).then(() => true, () => true),
+      timeout,
+    ]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
 
-  return [html, csp];
+interface IslandState {
+  encountered: Set<Island>;
+  /** The islands that are hydrated on load at least once. */
+  eager: Set<Island>;
+  props: unknown[];
 }
 
+// What the components of a page need to know about its render. It is passed
+// down by context, as the components of async pages are created outside of
+// the render.
+interface RenderState {
+  basePath: string;
+  /** The islands of the app. */
+  islands: Island[];
+  /** The islands on the page. Not set for the document around the page. */
+  page?: IslandState;
+}
+
+const RENDER_STATE = createContext<RenderState | undefined>(undefined);
+
+interface SuspenseBoundary {
+  promise: PromiseLike<unknown>;
+  children: ComponentChildren;
+  context: Record<string, unknown>;
+}
+
+// Moves the children of a suspense boundary from their template in place of
+// the fallback, which is delimited by the comments around the boundary.
+const SUSPENSE_SCRIPT =
+  `function __FRSH_SUSPENSE(id){var t=document.getElementById("__FRSH_SUSPENSE_"+id),w=document.createTreeWalker(document.body,128),s,e;while(s=w.nextNode())if(s.data==="__FRSH_SUSPENSE:"+id)break;if(s){while((e=s.nextSibling)&&!(e.nodeType===8&&e.data==="!--__FRSH_SUSPENSE:"+id+"--"))e.remove();s.parentNode.insertBefore(t.content,e);s.remove();e&&e.remove()}t.remove()}`;
+
 export interface TemplateOptions {
   bodyHtml: string;
   headComponents: ComponentChildren[];
   imports: (readonly [string, string])[];
   preloads: string[];
   lang: string;
+  dir?: "ltr" | "rtl";
+  /** The base path that is prepended to the `asset()` paths in the head. */
+  basePath?: string;
 }
 
 export function template(opts: TemplateOptions): string {
   const page = h(
     "html",
-    { lang: opts.lang },
+    { lang: opts.lang, dir: opts.dir },
     h(
       "head",
       null,
@@ -346,42 +887,204 @@ export function template(opts: TemplateOptions): string {
       opts.imports.map(([src, nonce]) =>
         h("script", { src: src, nonce: nonce, type: "module" })
       ),
-      opts.headComponents,
+      h(RENDER_STATE.Provider, {
+        value: { basePath: opts.basePath ?? "", islands: [] },
+        children: opts.headComponents,
+      }),
     ),
     h("body", { dangerouslySetInnerHTML: { __html: opts.bodyHtml } }),
   );
   return "<!DOCTYPE html>" + renderToString(page);
 }
 
-// Set up a preact option hook to track when vnode with custom functions are
-// created.
-const ISLANDS: Island[] = [];
-const ENCOUNTERED_ISLANDS: Set<Island> = new Set([]);
-let ISLAND_PROPS: unknown[] = [];
+// The islands of all apps, by their component. Island components are replaced
+// by a wrapper when their vnode is created, and the wrapper records the island
+// when it is rendered as part of a page.
+const ISLAND_COMPONENTS = new WeakMap<ComponentType<unknown>, Island>();
+const ISLAND_WRAPPERS = new WeakMap<
+  ComponentType<unknown>,
+  ComponentType<Record<string, unknown>>
+>();
+// How many island components are currently being called. Islands that are
+// created by another island are part of it, so they are not hydrated on their
+// own.
+let ISLAND_DEPTH = 0;
 const originalHook = options.vnode;
-let ignoreNext = false;
 options.vnode = (vnode) => {
   assetHashingHook(vnode);
+  if (typeof vnode.type === "string" && hasAssetUrl(vnode.props)) {
+    // The base path is prepended when the element is rendered, as it is not
+    // known yet when the element is created.
+    Object.assign(vnode, {
+      type: AssetElement,
+      props: { element: { ...vnode } },
+    });
+  }
   const originalType = vnode.type as ComponentType<unknown>;
-  if (typeof vnode.type === "function") {
-    const island = ISLANDS.find((island) => island.component === originalType);
-    if (island) {
-      if (ignoreNext) {
-        ignoreNext = false;
-        return;
-      }
-      ENCOUNTERED_ISLANDS.add(island);
-      vnode.type = (props) => {
-        ignoreNext = true;
-        const child = h(originalType, props);
-        ISLAND_PROPS.push(props);
-        return h(
-          `!--frsh-${island.id}:${ISLAND_PROPS.length - 1}--`,
-          null,
-          child,
-        );
-      };
+  const island = typeof originalType === "function" && ISLAND_DEPTH === 0
+    ? ISLAND_COMPONENTS.get(originalType)
+    : undefined;
+  if (island) {
+    const { hydrate } = vnode.props as HydrationProps;
+    if (hydrate !== undefined && !isHydrationStrategy(hydrate)) {
+      throw new TypeError(
+        `Unknown hydration strategy for island '${island.name}' ('${hydrate}').`,
+      );
     }
+    vnode.type = islandWrapper(originalType);
   }
   if (originalHook) originalHook(vnode);
 };
+
+function islandWrapper(
+  component: ComponentType<unknown>,
+): ComponentType<Record<string, unknown>> {
+  let wrapper = ISLAND_WRAPPERS.get(component);
+  if (wrapper === undefined) {
+    const Island = (
+      props: Record<string, unknown>,
+      state: RenderState | undefined,
+    ) => renderIsland(component, props, state);
+    Island.contextType = RENDER_STATE;
+    wrapper = Island;
+    ISLAND_WRAPPERS.set(component, wrapper);
+  }
+  return wrapper;
+}
+
+// Records an island on the page that is rendered, and renders it between the
+// markers that it is revived from on the client. Islands of other apps, and
+// islands outside of the page, are rendered like any other component.
+function renderIsland(
+  component: ComponentType<unknown>,
+  props: Record<string, unknown>,
+  state: RenderState | undefined,
+): VNode {
+  const island = state?.islands.find((island) =>
+    island.component === component
+  );
+  if (island === undefined || state?.page === undefined) {
+    ISLAND_DEPTH++;
+    try {
+      return h(component, props);
+    } finally {
+      ISLAND_DEPTH--;
+    }
+  }
+  const { hydrate } = props as HydrationProps;
+  state.page.encountered.add(island);
+  if (hydrate === undefined || hydrate === "load") {
+    state.page.eager.add(island);
+  }
+  const n = state.page.props.length;
+  // JSX props are rendered on the server between markers, from which
+  // they are restored on the client. They are not serialized.
+  const serialized: Record<string, unknown> = {};
+  const rendered: Record<string, unknown> = {};
+  for (const [name, value] of Object.entries(props)) {
+    if (isSlot(value)) {
+      rendered[name] = h(
+        `!--frsh-slot-${n}-${name}--`,
+        null,
+        value as ComponentChildren,
+      );
+    } else {
+      rendered[name] = value;
+      serialized[name] = withAssetBasePaths(value, state.basePath);
+    }
+  }
+  state.page.props.push(serialized);
+  return h(
+    `!--frsh-${island.id}:${n}--`,
+    null,
+    h(IslandRoot, { component, props: rendered }),
+  );
+}
+
+// The query param that `asset()` adds to the paths it locks.
+const ASSET_MARKER = `${ASSET_CACHE_BUST_KEY}=${BUILD_ID}`;
+// The root-relative asset paths in a prop, like the candidates of a `srcset` or
+// the `url()`s in a style.
+const ASSET_URL_REGEX = new RegExp(
+  `(^|[\\s,("'])(/(?!/)[^\\s,()"']*[?&]${ASSET_MARKER})`,
+  "g",
+);
+
+function hasAssetUrl(props: Record<string, unknown>): boolean {
+  return Object.values(props).some((value) =>
+    typeof value === "string" && value.includes(ASSET_MARKER)
+  );
+}
+
+// Prepends the base path to the asset paths in a prop.
+function withAssetBasePath(value: string, basePath: string): string {
+  return value.replace(
+    ASSET_URL_REGEX,
+    (_, before: string, path: string) => before + basePath + path,
+  );
+}
+
+// Prepends the base path to the asset paths in the serialized props of an
+// island, as `asset()` does in the browser.
+function withAssetBasePaths(value: unknown, basePath: string): unknown {
+  if (basePath === "") return value;
+  if (typeof value === "string") return withAssetBasePath(value, basePath);
+  if (Array.isArray(value)) {
+    return value.map((item) => withAssetBasePaths(item, basePath));
+  }
+  if (
+    typeof value === "object" && value !== null &&
+    Object.getPrototypeOf(value) === Object.prototype
+  ) {
+    return Object.fromEntries(
+      Object.entries(value).map((
+        [key, item],
+      ) => [key, withAssetBasePaths(item, basePath)]),
+    );
+  }
+  return value;
+}
+
+// Renders an element with asset paths in its props, with the base path of the
+// render prepended to them.
+function AssetElement(
+  { element }: { element: VNode<Record<string, unknown>> },
+  state: RenderState | undefined,
+): VNode {
+  const basePath = state?.basePath ?? "";
+  if (basePath === "") return element;
+  const props = {} as typeof element.props;
+  for (const [name, value] of Object.entries(element.props)) {
+    props[name] = typeof value === "string"
+      ? withAssetBasePath(value, basePath)
+      : value;
+  }
+  return { ...element, props };
+}
+AssetElement.contextType = RENDER_STATE;
+
+// Props with JSX in them, including arrays with JSX, are slots. Other values,
+// like text children, are serialized.
+function isSlot(value: unknown): boolean {
+  return isValidElement(value) || (Array.isArray(value) && value.some(isSlot));
+}
+
+// Calls an island component, while keeping track of the island depth. Class
+// components render after this returns, so islands that they create are
+// hydrated on their own.
+function IslandRoot(
+  { component, props }: {
+    component: ComponentType<unknown>;
+    props: Record<string, unknown>;
+  },
+  context: unknown,
+) {
+  ISLAND_DEPTH++;
+  try {
+    return component.prototype?.render
+      ? h(component, props)
+      : (component as FunctionComponent<unknown>)(props, context);
+  } finally {
+    ISLAND_DEPTH--;
+  }
+}
@@ -0,0 +1,599 @@
+// This router is based on rutt (https://deno.land/x/rutt@0.0.14), which was
+// vendored into fresh so that the matching behaviour can be tailored to the
+// routing features of fresh.
+
+import type { ConnInfo } from "./deps.ts";
+import type { ParamMatcher } from "./types.ts";
+
+/**
+ * Provides arbitrary context to {@link Handler} functions along with
+ * {@link ConnInfo connection information}.
+ */
+export type HandlerContext<T = unknown> = T & ConnInfo;
+
+/**
+ * A handler for HTTP requests. Consumes a request and {@link HandlerContext}
+ * and returns an optionally async response.
+ */
+export type Handler<T = unknown> = (
+  req: Request,
+  ctx: HandlerContext<T>,
+) => Response | Promise<Response>;
+
+/**
+ * A handler type for anytime the `MatchHandler` or `other` parameter handler
+ * fails
+ */
+export type ErrorHandler<T = unknown> = (
+  req: Request,
+  ctx: HandlerContext<T>,
+  err: unknown,
+) => Response | Promise<Response>;
+
+/**
+ * A handler type for anytime a method is received that is not defined. It gets
+ * passed the methods that are allowed for the route, and the matched values.
+ */
+export type UnknownMethodHandler<T = unknown> = (
+  req: Request,
+  ctx: HandlerContext<T>,
+  knownMethods: string[],
+  match: Record<string, string>,
+) => Response | Promise<Response>;
+
+/**
+ * A handler type for anytime the matched values of a route are not valid
+ * percent-encoded strings
+ */
+export type BadRequestHandler<T = unknown> = (
+  req: Request,
+  ctx: HandlerContext<T>,
+  err: unknown,
+) => Response | Promise<Response>;
+
+/**
+ * A handler type for a router path match which gets passed the matched values,
+ * and the matched values as they appear in the URL
+ */
+export type MatchHandler<T = unknown> = (
+  req: Request,
+  ctx: HandlerContext<T>,
+  match: Record<string, string>,
+  rawMatch: Record<string, string>,
+) => Response | Promise<Response>;
+
+/**
+ * A middleware of a route, which runs around the handling of every request that
+ * the route matches. `next` calls the handler for the method of the request,
+ * or answers it with the automatic `HEAD`, `OPTIONS` or 405 response.
+ */
+export type RouteMiddleware<T = unknown> = (
+  req: Request,
+  ctx: HandlerContext<T>,
+  match: Record<string, string>,
+  next: () => Promise<Response>,
+) => Response | Promise<Response>;
+
+/**
+ * A record of route paths and {@link MatchHandler}s which are called when a match is
+ * found along with it's values.
+ *
+ * The route paths follow the {@link URLPattern} format with the addition of
+ * being able to prefix a route with a method name and the `@` sign. For
+ * example a route only accepting `GET` requests would look like: `GET@/`.
+ */
+// deno-lint-ignore ban-types
+export type Routes<T = {}> = Record<string, MatchHandler<T>>;
+
+/**
+ * The internal route object contains a {@link URLPattern} which is matched
+ * against the incoming request URL. If a match is found for both the pattern
+ * and method the associated {@link MatchHandler} is called.
+ *
+ * If the route has param matchers, every matched param with a matcher must
+ * pass it for the route to match. Otherwise matching continues with the next
+ * route.
+ *
+ * If the route has an unknown method handler, it is used instead of the one of
+ * the router when the route doesn't accept the method of the request.
+ *
+ * If the route has a middleware, it runs around the handling of the request,
+ * including the automatic `OPTIONS` and 405 responses.
+ *
+ * If `rawParams` is set, matched values that are not valid percent-encoded
+ * strings are passed to the handlers as they appear in the URL, instead of
+ * responding with the bad request handler.
+ */
+// deno-lint-ignore ban-types
+export type InternalRoute<T = {}> = {
+  pattern: URLPattern;
+  methods: Record<string, MatchHandler<T>>;
+  matchers?: Record<string, ParamMatcher>;
+  unknownMethod?: UnknownMethodHandler<T>;
+  middleware?: RouteMiddleware<T>;
+  rawParams?: boolean;
+};
+
+/**
+ * An array of {@link InternalRoute internal route} objects which the
+ * {@link Routes routes} record is mapped into.
+ */
+// deno-lint-ignore ban-types
+export type InternalRoutes<T = {}> = InternalRoute<T>[];
+
+/**
+ * The default other handler for the router. By default it responds with `null`
+ * body and a status of 404.
+ */
+export function defaultOtherHandler(_req: Request): Response {
+  return new Response(null, {
+    status: 404,
+  });
+}
+
+/**
+ * The default error handler for the router. By default it responds with `null`
+ * body and a status of 500 along with `console.error` logging the caught error.
+ */
+export function defaultErrorHandler(
+  _req: Request,
+  _ctx: HandlerContext,
+  err: unknown,
+): Response {
+  console.error(err);
+
+  return new Response(null, {
+    status: 500,
+  });
+}
+
+/**
+ * The default unknown method handler for the router. By default it responds
+ * with `null` body, a status of 405 and the `Allow` header set to the methods
+ * that are allowed for the route.
+ */
+export function defaultUnknownMethodHandler(
+  _req: Request,
+  _ctx: HandlerContext,
+  knownMethods: string[],
+): Response {
+  return new Response(null, {
+    status: 405,
+    headers: {
+      Allow: knownMethods.join(", "),
+    },
+  });
+}
+
+/**
+ * The default bad request handler for the router. By default it responds with
+ * `null` body and a status of 400.
+ */
+export function defaultBadRequestHandler(_req: Request): Response {
+  return new Response(null, {
+    status: 400,
+  });
+}
+
+/**
+ * All known HTTP methods.
+ */
+export const METHODS = [
+  "GET",
+  "HEAD",
+  "POST",
+  "PUT",
+  "DELETE",
+  "OPTIONS",
+  "PATCH",
+] as const;
+
+const methodRegex = new RegExp(`(?<=^(?:${METHODS.join("|")}))@`);
+
+/**
+ * Builds an {@link InternalRoutes} array from a {@link Routes} record.
+ *
+ * @param routes A {@link Routes} record
+ * @returns The built {@link InternalRoutes}
+ */
+export function buildInternalRoutes<T = unknown>(
+  routes: Routes<T>,
+): InternalRoutes<T> {
+  const internalRoutesRecord: Record<string, InternalRoute<T>> = {};
+  for (const [route, handler] of Object.entries(routes)) {
+    let [methodOrPath, path] = route.split(methodRegex);
+    let method = methodOrPath;
+    if (!path) {
+      path = methodOrPath;
+      method = "any";
+    }
+    const r = internalRoutesRecord[path] ?? {
+      pattern: new URLPattern({ pathname: path }),
+      methods: {},
+    };
+    r.methods[method] = handler;
+    internalRoutesRecord[path] = r;
+  }
+
+  return Object.values(internalRoutesRecord);
+}
+
+/**
+ * Decodes the groups of a {@link URLPattern} match. Throws a `URIError` if a
+ * group is not a valid percent-encoded string, unless `lenient` is set, in
+ * which case the group is kept as it is.
+ */
+function decodeGroups(
+  groups: Record<string, string>,
+  lenient = false,
+): Record<string, string> {
+  const decoded: Record<string, string> = {};
+  for (const [key, value] of Object.entries(groups)) {
+    try {
+      decoded[key] = decodeURIComponent(value);
+    } catch (err) {
+      if (!lenient) throw err;
+      decoded[key] = value;
+    }
+  }
+  return decoded;
+}
+
+/**
+ * Returns the methods that a route accepts. `HEAD` is derived from `GET`, and
+ * `OPTIONS` is always answered.
+ */
+function allowedMethods(methods: Record<string, unknown>): string[] {
+  const allowed = Object.keys(methods);
+  if (allowed.includes("GET") && !allowed.includes("HEAD")) {
+    allowed.push("HEAD");
+  }
+  if (!allowed.includes("OPTIONS")) allowed.push("OPTIONS");
+  return allowed;
+}
+
+/**
+ * Add the `Allow` header to the response to a request with a method that the
+ * route doesn't accept, unless the unknown method handler already set it.
+ */
+function withAllowHeader(res: Response, allowed: string[]): Response {
+  if (res.headers.has("allow")) return res;
+  const headers = new Headers(res.headers);
+  headers.set("allow", allowed.join(", "));
+  return new Response(res.body, {
+    status: res.status,
+    statusText: res.statusText,
+    headers,
+  });
+}
+
+/**
+ * Validates the matched groups against the param matchers of a route, and
+ * replaces the raw values with the parsed ones. Returns `false` if any of the
+ * params does not match. Empty values of optional segments are not validated.
+ */
+function applyMatchers(
+  groups: Record<string, string>,
+  matchers: Record<string, ParamMatcher>,
+): boolean {
+  for (const [key, matcher] of Object.entries(matchers)) {
+    const value = groups[key];
+    if (value === undefined || value === "") continue;
+    if (!matcher.match(value)) return false;
+    if (matcher.parse) {
+      // Parsed params are exposed as-is, which is reflected in the `Params`
+      // type parameter of `PageProps` and `HandlerContext`.
+      (groups as Record<string, unknown>)[key] = matcher.parse(value);
+    }
+  }
+  return true;
+}
+
+/**
+ * Match a URL against the pattern and the param matchers of a route. Returns
+ * the decoded params of the route and the params as they appear in the URL, or
+ * `null` if it doesn't match. The param matchers are applied to the decoded
+ * params. Throws a `URIError` if a param is not a valid percent-encoded
+ * string, unless the route has `rawParams` set.
+ */
+export function matchRoute(
+  route: Pick<InternalRoute, "pattern" | "matchers" | "rawParams">,
+  url: string,
+): { params: Record<string, string>; raw: Record<string, string> } | null {
+  const { pattern, matchers } = route;
+  const res = pattern.exec(url);
+  if (res === null) return null;
+  // Routes that are scoped to a hostname also expose the params that are
+  // captured from the hostname. Groups that did not participate in the match,
+  // like an optional segment that is not present in the URL, are empty.
+  const raw: Record<string, string> = {};
+  for (
+    const [key, value] of Object.entries(
+      pattern.hostname === "*"
+        ? res.pathname.groups
+        : { ...res.hostname.groups, ...res.pathname.groups },
+    )
+  ) {
+    raw[key] = value ?? "";
+  }
+  const params = decodeGroups(raw, route.rawParams);
+  if (matchers && !applyMatchers(params, matchers)) return null;
+  return { params, raw };
+}
+
+/**
+ * A node of the route matcher. Routes are indexed by the segments of their
+ * pattern, so that only the routes that can match a URL have to be tested.
+ */
+interface MatcherNode {
+  /** The child nodes for static segments. */
+  children: Map<string, MatcherNode>;
+  /** The child node for a dynamic segment, like `:id`. */
+  param?: MatcherNode;
+  /** The routes that end at this node. */
+  routes: number[];
+  /** The routes with a wildcard at this node, like `:path*`. */
+  wildcards: number[];
+}
+
+const STATIC_SEGMENT = /^[^:*?+(){}\\]*$/;
+const PARAM_SEGMENT = /^:[\w$]+$/;
+const OPTIONAL_SEGMENT = /^:[\w$]+\?$/;
+const WILDCARD_SEGMENT = /^:[\w$]+\*$/;
+
+function createNode(): MatcherNode {
+  return { children: new Map(), routes: [], wildcards: [] };
+}
+
+/**
+ * Split a (normalized) URLPattern pathname into its segments. Returns `null`
+ * if the pattern uses syntax that the matcher doesn't understand, like regular
+ * expressions or groups.
+ */
+function parsePattern(
+  pathname: string,
+): { segments: string[]; trailingSlash: boolean } | null {
+  const trailingSlash = pathname.endsWith("{/}?");
+  if (trailingSlash) pathname = pathname.slice(0, -"{/}?".length);
+  if (!pathname.startsWith("/")) return null;
+  const segments = pathname.slice(1).split("/");
+  for (let i = 0; i < segments.length; i++) {
+    const segment = segments[i];
+    if (
+      STATIC_SEGMENT.test(segment) || PARAM_SEGMENT.test(segment) ||
+      OPTIONAL_SEGMENT.test(segment) ||
+      (WILDCARD_SEGMENT.test(segment) && i === segments.length - 1)
+    ) {
+      continue;
+    }
+    return null;
+  }
+  return { segments, trailingSlash };
+}
+
+function insertRoute(
+  node: MatcherNode,
+  segments: string[],
+  i: number,
+  index: number,
+  trailingSlash: boolean,
+) {
+  if (i === segments.length) {
+    node.routes.push(index);
+    if (trailingSlash) {
+      const child = node.children.get("") ?? createNode();
+      node.children.set("", child);
+      child.routes.push(index);
+    }
+    return;
+  }
+  const segment = segments[i];
+  if (WILDCARD_SEGMENT.test(segment)) {
+    node.wildcards.push(index);
+  } else if (OPTIONAL_SEGMENT.test(segment)) {
+    insertRoute(node, segments, i + 1, index, trailingSlash);
+    node.param ??= createNode();
+    insertRoute(node.param, segments, i + 1, index, trailingSlash);
+  } else if (PARAM_SEGMENT.test(segment)) {
+    node.param ??= createNode();
+    insertRoute(node.param, segments, i + 1, index, trailingSlash);
+  } else {
+    const child = node.children.get(segment) ?? createNode();
+    node.children.set(segment, child);
+    insertRoute(child, segments, i + 1, index, trailingSlash);
+  }
+}
+
+function collectRoutes(
+  node: MatcherNode,
+  segments: string[],
+  i: number,
+  out: number[],
+) {
+  out.push(...node.wildcards);
+  if (i === segments.length) {
+    out.push(...node.routes);
+    return;
+  }
+  const child = node.children.get(segments[i]);
+  if (child) collectRoutes(child, segments, i + 1, out);
+  if (node.param && segments[i] !== "") {
+    collectRoutes(node.param, segments, i + 1, out);
+  }
+}
+
+/**
+ * Compiles the routes into a matcher, which returns the indices of the routes
+ * that can match a pathname. Only the static segments of a pathname are
+ * looked up, so the cost of a lookup does not grow with the number of routes.
+ *
+ * The indices are returned in the original order of the routes, so the first
+ * route that matches still wins. The candidates must still be tested with
+ * their {@link URLPattern}, and routes with patterns that the matcher doesn't
+ * understand are always returned.
+ */
+function compileMatcher<T>(
+  routes: InternalRoutes<T>,
+): (pathname: string) => number[] {
+  const root = createNode();
+  const fallback: number[] = [];
+  routes.forEach(({ pattern }, index) => {
+    const parsed = parsePattern(pattern.pathname);
+    if (parsed === null) {
+      fallback.push(index);
+    } else {
+      insertRoute(root, parsed.segments, 0, index, parsed.trailingSlash);
+    }
+  });
+
+  return (pathname) => {
+    const candidates = [...fallback];
+    collectRoutes(root, pathname.slice(1).split("/"), 0, candidates);
+    return [...new Set(candidates)].sort((a, b) => a - b);
+  };
+}
+
+/**
+ * Call the handler of a matched route for the method of the request. `HEAD`
+ * requests are answered by the `GET` handler, `OPTIONS` requests with the
+ * allowed methods, and other methods by the unknown method handler.
+ */
+async function dispatch<T>(
+  route: InternalRoute<T>,
+  req: Request,
+  ctx: HandlerContext<T>,
+  params: Record<string, string>,
+  raw: Record<string, string>,
+  unknownMethod: UnknownMethodHandler<T>,
+): Promise<Response> {
+  const { methods } = route;
+  for (const [method, handler] of Object.entries(methods)) {
+    if (req.method === method) {
+      return await handler(req, ctx, params, raw);
+    }
+  }
+
+  if (methods["any"]) {
+    return await methods["any"](req, ctx, params, raw);
+  }
+
+  // Answer HEAD requests with the response to a GET request, without its body.
+  if (req.method === "HEAD" && methods["GET"]) {
+    const res = await methods["GET"](req, ctx, params, raw);
+    await res.body?.cancel();
+    return new Response(null, res);
+  }
+
+  const allowed = allowedMethods(methods);
+  if (req.method === "OPTIONS") {
+    return new Response(null, {
+      status: 204,
+      headers: { Allow: allowed.join(", ") },
+    });
+  }
+
+  const res = await unknownMethod(req, ctx, allowed, params);
+  return withAllowHeader(res, allowed);
+}
+
+/** A route that matches a request, with its decoded and raw params. */
+export interface RouteMatch<T = unknown> {
+  route: InternalRoute<T>;
+  params: Record<string, string>;
+  raw: Record<string, string>;
+}
+
+/**
+ * A request handler that routes requests. The route of a request can be looked
+ * up with `match` before the request is handled, e.g. to select middlewares,
+ * and then passed to the handler so that it is not looked up again.
+ */
+export interface Router<T = unknown> {
+  (
+    req: Request,
+    ctx: HandlerContext<T>,
+    match?: RouteMatch<T> | null,
+  ): Promise<Response>;
+  /**
+   * Returns the first route that matches the URL, or `null` if none does.
+   * Throws a `URIError` if the params of the route are not valid
+   * percent-encoded strings.
+   */
+  match(url: string): RouteMatch<T> | null;
+}
+
+/**
+ * A simple and tiny router for fresh.
+ *
+ * @param routes A record of all routes and their corresponding handler functions
+ * @param other An optional parameter which contains a handler for anything that
+ * doesn't match the `routes` parameter
+ * @param error An optional parameter which contains a handler for any time it
+ * fails to run the default request handling code
+ * @param unknownMethod An optional parameter which contains a handler for any
+ * time a method that is not defined is used
+ * @param badRequest An optional parameter which contains a handler for any
+ * time the matched values are not valid percent-encoded strings
+ * @returns A deno std compatible request handler
+ */
+export function router<T = unknown>(
+  routes: Routes<T> | InternalRoutes<T>,
+  other: Handler<T> = defaultOtherHandler,
+  error: ErrorHandler<T> = defaultErrorHandler,
+  unknownMethod: UnknownMethodHandler<T> = defaultUnknownMethodHandler,
+  badRequest: BadRequestHandler<T> = defaultBadRequestHandler,
+): Router<T> {
+  const internalRoutes = Array.isArray(routes)
+    ? routes
+    : buildInternalRoutes(routes);
+  const matcher = compileMatcher(internalRoutes);
+
+  const match = (url: string): RouteMatch<T> | null => {
+    for (const index of matcher(new URL(url).pathname)) {
+      const route = internalRoutes[index];
+      const match = matchRoute(route, url);
+      if (match !== null) return { route, ...match };
+    }
+    return null;
+  };
+
+  const handler = async (
+    req: Request,
+    ctx: HandlerContext<T>,
+    matched?: RouteMatch<T> | null,
+  ) => {
+    try {
+      if (matched === undefined) {
+        try {
+          matched = match(req.url);
+        } catch (err) {
+          if (err instanceof URIError) {
+            return await badRequest(req, ctx, err);
+          }
+          throw err;
+        }
+      }
+
+      if (matched === null) {
+        return await other(req, ctx);
+      }
+
+      const { route, params, raw } = matched;
+      const next = () =>
+        dispatch(
+          route,
+          req,
+          ctx,
+          params,
+          raw,
+          route.unknownMethod ?? unknownMethod,
+        );
+      return await (route.middleware
+        ? route.middleware(req, ctx, params, next)
+        : next());
+    } catch (err) {
+      return error(req, ctx, err);
+    }
+  };
+  return Object.assign(handler, { match });
+}
@@ -0,0 +1,55 @@
+// Run with `deno bench src/server/router_bench.ts`. The lookup cost should be
+// about the same for every route count, as static segments are looked up in a
+// trie instead of testing every route in order.
+
+import {
+  buildInternalRoutes,
+  HandlerContext,
+  router,
+  Routes,
+} from "./router.ts";
+
+const ctx = {} as HandlerContext;
+const ok = () => new Response(null);
+
+function createRouter(staticFiles: number) {
+  const routes: Routes = {};
+  for (let i = 0; i < staticFiles; i++) {
+    routes[`GET@/static/file-${i}.js`] = ok;
+  }
+  const internalRoutes = buildInternalRoutes(routes);
+  // Page routes are registered after the static files, as in fresh.
+  internalRoutes.push(...buildInternalRoutes({
+    "/": ok,
+    "/about": ok,
+    "/blog/:slug": ok,
+    "/docs/:path*": ok,
+  }));
+  return router(internalRoutes);
+}
+
+for (const count of [10, 1_000, 10_000]) {
+  const handler = createRouter(count);
+  const staticReq = new Request(
+    `http://localhost/static/file-${count - 1}.js`,
+  );
+  const pageReq = new Request("http://localhost/blog/hello-world");
+
+  Deno.bench({
+    name: `last static file of ${count}`,
+    group: "static file",
+    baseline: count === 10,
+    async fn() {
+      await handler(staticReq, ctx);
+    },
+  });
+
+  Deno.bench({
+    name: `page route after ${count} static files`,
+    group: "page route",
+    baseline: count === 10,
+    async fn() {
+      await handler(pageReq, ctx);
+    },
+  });
+}
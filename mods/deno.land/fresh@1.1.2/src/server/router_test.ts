@@ -0,0 +1,196 @@
+import { assertEquals } from "../../tests/deps.ts";
+import {
+  HandlerContext,
+  InternalRoute,
+  InternalRoutes,
+  matchRoute,
+  router,
+} from "./router.ts";
+import { sortRoutes } from "./patterns.ts";
+import { ParamMatcher } from "./types.ts";
+
+const ctx = {} as HandlerContext;
+
+const int: ParamMatcher<number> = {
+  match: (param) => /^\d+$/.test(param),
+  parse: (param) => Number(param),
+};
+
+interface TestRoute {
+  pattern: string;
+  hostname?: string;
+  matchers?: Record<string, ParamMatcher>;
+}
+
+// Routes in the order of their files, and some patterns that the trie doesn't
+// understand, which are always tested. They are ordered by `sortRoutes()`, like
+// the routes of an app.
+const ROUTES: TestRoute[] = [
+  { pattern: "/" },
+  { pattern: "/:rest*" },
+  { pattern: "/:lang/about" },
+  { pattern: "/about{/}?" },
+  { pattern: "/blog" },
+  { pattern: "/blog/:slug" },
+  { pattern: "/blog/:slug/comments" },
+  { pattern: "/blog/:id", matchers: { id: int } },
+  { pattern: "/blog/new" },
+  { pattern: "/docs/:path*" },
+  { pattern: "/docs/:version?/intro" },
+  { pattern: "/files/:name.txt" },
+  { pattern: "/static/app.js" },
+  { pattern: "/users/:name" },
+  { pattern: "/users/(\\d+)" },
+  { pattern: "/", hostname: ":tenant.example.com" },
+  { pattern: "/settings", hostname: ":tenant.example.com" },
+];
+
+// The name of a route in the responses of the test routes.
+function routeName({ pattern, hostname, matchers }: TestRoute): string {
+  return (hostname ?? "") + pattern + (matchers ? " (matchers)" : "");
+}
+
+function createRoutes(): InternalRoutes {
+  const routes = [...ROUTES];
+  sortRoutes(routes);
+  return routes.map((route): InternalRoute => ({
+    pattern: new URLPattern({
+      pathname: route.pattern,
+      hostname: route.hostname,
+    }),
+    methods: {
+      any: (_req, _ctx, params) =>
+        Response.json({ route: routeName(route), params }),
+    },
+    matchers: route.matchers,
+  }));
+}
+
+// The response of the route that a linear scan of the routes in order selects.
+async function linearMatch(routes: InternalRoutes, url: string) {
+  for (const route of routes) {
+    const match = matchRoute(route, url);
+    if (match !== null) {
+      const { params, raw } = match;
+      return (await route.methods.any(new Request(url), ctx, params, raw))
+        .json();
+    }
+  }
+  return null;
+}
+
+const URLS = [
+  "http://localhost/static/app.js",
+  "http://localhost/",
+  "http://localhost/about",
+  "http://localhost/about/",
+  "http://localhost/blog",
+  "http://localhost/blog/",
+  "http://localhost/blog/new",
+  "http://localhost/blog/42",
+  "http://localhost/blog/hello-world",
+  "http://localhost/blog/hello%20world",
+  "http://localhost/blog/42/comments",
+  "http://localhost/docs/intro",
+  "http://localhost/docs/v2/intro",
+  "http://localhost/docs/v2/guide/intro",
+  "http://localhost/docs",
+  "http://localhost/docs/",
+  "http://localhost/files/notes.txt",
+  "http://localhost/users/12",
+  "http://localhost/users/ann",
+  "http://acme.example.com/",
+  "http://acme.example.com/settings",
+  "http://localhost/settings",
+  "http://localhost/de/about",
+  "http://localhost/de/about/more",
+  "http://localhost/a/b/c",
+  "http://localhost//double",
+];
+
+Deno.test("router - the trie selects the same routes as a linear scan", async (t) => {
+  const routes = createRoutes();
+  const handler = router(routes, () => Response.json(null));
+  for (const url of URLS) {
+    await t.step(url, async () => {
+      const res = await handler(new Request(url), ctx);
+      assertEquals(await res.json(), await linearMatch(routes, url));
+    });
+  }
+});
+
+Deno.test("router - routes are selected by priority and param matchers", async () => {
+  const handler = router(createRoutes());
+  const route = async (url: string) =>
+    (await (await handler(new Request(url), ctx)).json()).route;
+  assertEquals(await route("http://acme.example.com/"), ":tenant.example.com/");
+  assertEquals(await route("http://localhost/"), "/");
+  assertEquals(await route("http://localhost/blog/new"), "/blog/new");
+  assertEquals(await route("http://localhost/blog/42"), "/blog/:id (matchers)");
+  assertEquals(await route("http://localhost/blog/hello"), "/blog/:slug");
+  assertEquals(await route("http://localhost/users/12"), "/users/(\\d+)");
+  assertEquals(await route("http://localhost/de/about"), "/:lang/about");
+  assertEquals(await route("http://localhost/a/b/c"), "/:rest*");
+});
+
+Deno.test("router - params are decoded and parsed", async () => {
+  const handler = router(createRoutes());
+  const params = async (url: string) =>
+    (await (await handler(new Request(url), ctx)).json()).params;
+  assertEquals(await params("http://localhost/blog/42"), { id: 42 });
+  assertEquals(await params("http://localhost/blog/hello%20world"), {
+    slug: "hello world",
+  });
+  assertEquals(await params("http://localhost/docs/intro"), { version: "" });
+  assertEquals(await params("http://localhost/docs/v2/intro"), {
+    version: "v2",
+  });
+  assertEquals(await params("http://localhost/docs/a/b"), { path: "a/b" });
+  assertEquals(await params("http://acme.example.com/settings"), {
+    tenant: "acme",
+  });
+});
+
+Deno.test("router - params with malformed encoding are a bad request", async () => {
+  const handler = router(createRoutes());
+  const res = await handler(
+    new Request("http://localhost/blog/%E0%A4%A"),
+    ctx,
+  );
+  assertEquals(res.status, 400);
+});
+
+Deno.test("router - raw params are passed next to the decoded ones", async () => {
+  const handler = router([{
+    pattern: new URLPattern({ pathname: "/raw/:value" }),
+    methods: {
+      any: (_req, _ctx, params, raw) => Response.json({ params, raw }),
+    },
+    rawParams: true,
+  }]);
+  const body = async (url: string) =>
+    await (await handler(new Request(url), ctx)).json();
+  assertEquals(await body("http://localhost/raw/a%20b"), {
+    params: { value: "a b" },
+    raw: { value: "a%20b" },
+  });
+  assertEquals(await body("http://localhost/raw/%E0%A4%A"), {
+    params: { value: "%E0%A4%A" },
+    raw: { value: "%E0%A4%A" },
+  });
+});
+
+Deno.test("router - a route that was looked up is not matched again", async () => {
+  const handler = router(createRoutes());
+  const match = handler.match("http://localhost/blog/42");
+  assertEquals(match?.route.pattern.pathname, "/blog/:id");
+  assertEquals<unknown>(match?.params, { id: 42 });
+  // The handler dispatches the given match, even if the URL is a different one.
+  const res = await handler(new Request("http://localhost/"), ctx, match);
+  assertEquals(await res.json(), {
+    route: "/blog/:id (matchers)",
+    params: { id: 42 },
+  });
+  const notFound = await handler(new Request("http://localhost/"), ctx, null);
+  assertEquals(notFound.status, 404);
+});
@@ -1,6 +1,8 @@
-import { ComponentType } from "preact";
-import { ConnInfo, rutt, ServeInit } from "./deps.ts";
+import { ComponentChildren, ComponentType } from "preact";
+import { ConnInfo, ServeInit } from "./deps.ts";
 import { InnerRenderFunction, RenderContext } from "./render.ts";
+import * as router from "./router.ts";
+import { Locale, Messages } from "../runtime/i18n.ts";
 
 // --- APPLICATION CONFIGURATION ---
 
@@ -18,6 +20,158 @@ export interface FreshOptions {
   render?: RenderFunction;
   plugins?: Plugin[];
   staticDir?: string;
+  /**
+   * How URLs with a trailing slash are handled:
+   *
+   * - `"never"` (default): `/about/` is redirected to `/about`.
+   * - `"always"`: `/about` is redirected to `/about/`. Static files, internal
+   *   fresh URLs and paths with a file extension (e.g. `/feed.xml`) are not
+   *   redirected.
+   * - `"ignore"`: nothing is redirected, and `/about` and `/about/` are both
+   *   served by the same route.
+   */
+  trailingSlash?: TrailingSlash;
+  /**
+   * Use a permanent (308) instead of a temporary (307) redirect when enforcing
+   * the `trailingSlash` policy. Defaults to `false`.
+   */
+  permanentTrailingSlashRedirect?: boolean;
+  /**
+   * Serve the app under a path prefix, like `/shop`. All routes, static files,
+   * internal fresh URLs and `asset()` paths are prefixed with it. Route
+   * patterns (including `routeOverride`) and `asset()` paths are written
+   * relative to the base path.
+   */
+  basePath?: string;
+  /**
+   * Redirects that are applied before any routing, e.g. for legacy URLs. The
+   * first redirect with a matching source is used.
+   */
+  redirects?: Redirect[];
+  /**
+   * Rewrites that serve a request from a different route, without a round trip
+   * to the client. They are applied after redirects and the trailing slash
+   * policy, and before middlewares. The first rewrite with a matching source
+   * is used.
+   */
+  rewrites?: Rewrite[];
+  /**
+   * Responds to requests with params that are not valid percent-encoded
+   * strings, like `/books/%E0%A4%A`. By default an empty 400 response is sent.
+   */
+  badRequest?: BadRequestHandler;
+  /**
+   * Navigate between pages without reloading the document. Links to other
+   * pages fetch a partial render of the page, without `_app`, that is swapped
+   * in place of the current route, along with its `<Head>` components. Only
+   * the islands of the new page are revived, so islands in `_app` keep their
+   * state. Links with a `data-frsh-reload` attribute, and pages with CSP
+   * enabled, are always loaded in full. Defaults to `false`.
+   */
+  partialNavigation?: boolean;
+  /**
+   * Serve pages in multiple locales. Pages of the default locale are served
+   * without a prefix, like `/about`, and pages of the other locales with the
+   * locale as a prefix, like `/de/about`. The locale of a request is available
+   * as `ctx.locale` in middlewares and handlers, and with `useLocale()` in
+   * components.
+   */
+  i18n?: I18nOptions;
+  /**
+   * The store for the renders of routes with a `revalidate` config. Defaults
+   * to a `MemoryCacheStore` with room for 500 pages.
+   */
+  renderCache?: RenderCacheStore;
+  /**
+   * Also send the `modulepreload` links of a page in a `Link` response header,
+   * so that proxies and CDNs can send them as early hints. Defaults to
+   * `false`.
+   */
+  preloadLinkHeader?: boolean;
+  /**
+   * How long to wait, in milliseconds, for the suspended `<Suspense>`
+   * boundaries of a page to render. The boundaries that are still suspended
+   * after this time keep their fallback, and the response is ended. Defaults
+   * to `10000`.
+   */
+  suspenseTimeout?: number;
+}
+
+export interface I18nOptions {
+  /** The language tags of the supported locales, like `["en", "de", "ar"]`. */
+  locales: string[];
+  /**
+   * The locale of the pages without a locale prefix. Its own prefix redirects
+   * to the page without it.
+   */
+  defaultLocale: string;
+  /**
+   * Redirect page requests without a locale prefix to the locale that the
+   * client prefers, as set by the `cookie` or the `Accept-Language` header.
+   * Defaults to `true`.
+   */
+  detect?: boolean;
+  /**
+   * The name of the cookie with the locale that the user chose, e.g. with a
+   * language switcher. Defaults to `"locale"`.
+   */
+  cookie?: string;
+  /** Load the message catalogue of a locale. It is loaded once per locale. */
+  messages?: (locale: string) => Messages | Promise<Messages>;
+}
+
+export type TrailingSlash = "never" | "always" | "ignore";
+
+/** A rendered response in the render cache. */
+export interface CachedResponse {
+  status: number;
+  headers: [string, string][];
+  body: Uint8Array;
+  /** When the response was rendered, in milliseconds since the epoch. */
+  createdAt: number;
+}
+
+/**
+ * Stores the renders of routes with a `revalidate` config. The keys are opaque
+ * strings that identify the URL and the varying request headers.
+ */
+export interface RenderCacheStore {
+  get(
+    key: string,
+  ): CachedResponse | undefined | Promise<CachedResponse | undefined>;
+  set(key: string, response: CachedResponse): void | Promise<void>;
+  /** Remove a response, e.g. because its page doesn't exist anymore. */
+  delete?(key: string): void | Promise<void>;
+}
+
+export interface Redirect {
+  /**
+   * The URLPattern pathname to match, like `/blog/:slug`, relative to the
+   * base path.
+   */
+  source: string;
+  /**
+   * The URL to redirect to, like `/posts/:slug`. Params of the source are
+   * substituted, and paths are relative to the base path. The query string of
+   * the request is kept if the destination doesn't have one.
+   */
+  destination: string;
+  /** Use a permanent (308) instead of a temporary (307) redirect. */
+  permanent?: boolean;
+}
+
+export interface Rewrite {
+  /**
+   * The URLPattern pathname to match, like `/blog/:slug`, relative to the
+   * base path.
+   */
+  source: string;
+  /**
+   * The path of the route that serves the request, like `/posts/:slug`.
+   * Params of the source are substituted, and the path is relative to the base
+   * path.
+   */
+  destination: string;
 }
 
 export type RenderFunction = (
@@ -28,7 +182,7 @@ export type RenderFunction = (
 /// --- ROUTES ---
 
 // deno-lint-ignore no-explicit-any
-export interface PageProps<T = any> {
+export interface PageProps<T = any, Params = Record<string, string>> {
   /** The URL of the request that resulted in this page being rendered. */
   url: URL;
 
@@ -42,9 +196,13 @@ export interface PageProps<T = any> {
    * For the `/foo/:bar` route with url `/foo/123`, `params` would be
    * `{ bar: '123' }`. For a route with no matchers, `params` would be `{}`. For
    * a wildcard route, like `/foo/:path*` with url `/foo/bar/baz`, `params` would
-   * be `{ path: 'bar/baz' }`.
+   * be `{ path: 'bar/baz' }`. For an optional segment, like `/foo{/:bar}?` with
+   * url `/foo`, `params` would be `{ bar: '' }`.
+   *
+   * Params that are validated by a param matcher, like `[id=int]`, contain the
+   * value as parsed by the matcher (e.g. a `number` for `int`).
    */
-  params: Record<string, string>;
+  params: Params;
 
   /**
    * Additional data passed into `HandlerContext.render`. Defaults to
@@ -53,6 +211,24 @@ export interface PageProps<T = any> {
   data: T;
 }
 
+/**
+ * The props of an async component. In addition to the props of the component,
+ * they contain the request and the state that was set by the middlewares.
+ */
+export type AsyncComponentProps<P> = P & {
+  req: Request;
+  state: Record<string, unknown>;
+};
+
+/**
+ * An async page, layout or app component. It is awaited before the page is
+ * rendered, so it can fetch data itself. It can also return a `Response` that
+ * is sent instead of the page, for example to redirect.
+ */
+export type AsyncComponent<P> = (
+  props: AsyncComponentProps<P>,
+) => Promise<ComponentChildren | Response>;
+
 export interface RouteConfig {
   /**
    * A route override for the page. This is useful for pages where the route
@@ -69,44 +245,221 @@ export interface RouteConfig {
    * using the `useCSP` hook.
    */
   csp?: boolean;
+
+  /**
+   * If params with malformed percent-encoding should be passed as they appear
+   * in the URL, instead of rejecting the request with a 400 response. The
+   * params of every route are also available without decoding them as
+   * `ctx.rawParams`.
+   */
+  rawParams?: boolean;
+
+  /**
+   * Cache the responses to `GET` requests for this many seconds. A request for
+   * a page whose cached response is older is still served from the cache, and
+   * the page is rendered again in the background. Middlewares still run for
+   * every request.
+   *
+   * Only `200` responses are cached, unless they have a `Set-Cookie` header or
+   * a `Cache-Control: private` or `no-store` header.
+   */
+  revalidate?: number;
+
+  /**
+   * The request headers that the response of a route with `revalidate`
+   * depends on, like `Cookie` or `Accept-Encoding`. Requests with different
+   * values for these headers are cached separately.
+   */
+  varyHeaders?: string[];
+
+  /**
+   * The query params that the response of a route with `revalidate` depends
+   * on, or `true` for the whole query string. Requests that only differ in
+   * other query params are served the same response. Defaults to `false`, so
+   * the query string is ignored.
+   */
+  cacheQuery?: boolean | string[];
 }
 
-export interface HandlerContext<Data = unknown, State = Record<string, unknown>>
-  extends ConnInfo {
-  params: Record<string, string>;
-  render: (data?: Data) => Response | Promise<Response>;
+export interface HandlerContext<
+  Data = unknown,
+  State = Record<string, unknown>,
+  Params = Record<string, string>,
+> extends ConnInfo {
+  params: Params;
+  /** The params of the route as they appear in the URL, without decoding. */
+  rawParams: Record<string, string>;
+  render: (
+    data?: Data,
+    options?: RenderResponseOptions,
+  ) => Response | Promise<Response>;
   renderNotFound: () => Response | Promise<Response>;
   state: State;
+  /** The locale of the request, if the `i18n` option is set. */
+  locale?: Locale;
+  /**
+   * Mark the cached responses of a page as stale, so that the next request
+   * renders it again. The path is relative to the base path, and covers every
+   * locale and query string of the page.
+   */
+  revalidate: (path: string) => void;
 }
 
-// deno-lint-ignore no-explicit-any
-export type Handler<T = any, State = Record<string, unknown>> = (
+export interface RenderResponseOptions {
+  /** The status code of the response. Defaults to 200. */
+  status?: number;
+  /**
+   * Headers to add to the response, like `Set-Cookie` or `Cache-Control`. They
+   * replace the headers that are set by fresh, except for `Set-Cookie` and
+   * `Vary`, which are appended.
+   */
+  headers?: HeadersInit;
+}
+
+export type Handler<
+  // deno-lint-ignore no-explicit-any
+  T = any,
+  State = Record<string, unknown>,
+  Params = Record<string, string>,
+> = (
   req: Request,
-  ctx: HandlerContext<T, State>,
+  ctx: HandlerContext<T, State, Params>,
 ) => Response | Promise<Response>;
 
-// deno-lint-ignore no-explicit-any
-export type Handlers<T = any, State = Record<string, unknown>> = {
-  [K in typeof rutt.METHODS[number]]?: Handler<T, State>;
+export type Handlers<
+  // deno-lint-ignore no-explicit-any
+  T = any,
+  State = Record<string, unknown>,
+  Params = Record<string, string>,
+> = {
+  [K in typeof router.METHODS[number]]?: Handler<T, State, Params>;
 };
 
+export interface MethodNotAllowedHandlerContext<
+  State = Record<string, unknown>,
+  Params = Record<string, string>,
+> extends ConnInfo {
+  /** The methods that the route accepts, for use in the `Allow` header. */
+  allowed: string[];
+  params: Params;
+  state: State;
+}
+
+/**
+ * Responds to requests with a method that the route doesn't accept. The
+ * response should have a 405 status. The `Allow` header is added to it if it
+ * doesn't have one.
+ */
+export type MethodNotAllowedHandler<
+  State = Record<string, unknown>,
+  Params = Record<string, string>,
+> = (
+  req: Request,
+  ctx: MethodNotAllowedHandlerContext<State, Params>,
+) => Response | Promise<Response>;
+
 export interface RouteModule {
-  default?: ComponentType<PageProps>;
+  default?:
+    // deno-lint-ignore no-explicit-any
+    | ComponentType<PageProps<any, any>>
+    // deno-lint-ignore no-explicit-any
+    | AsyncComponent<PageProps<any, any>>;
   // deno-lint-ignore no-explicit-any
-  handler?: Handler<any, any> | Handlers<any, any>;
+  handler?: Handler<any, any, any> | Handlers<any, any, any>;
+  /**
+   * Responds to requests with a method that the route doesn't accept. It runs
+   * after the middlewares, like a handler. The response gets an `Allow` header
+   * with the accepted methods, unless it already has one. By default an empty
+   * 405 response is sent.
+   */
+  // deno-lint-ignore no-explicit-any
+  methodNotAllowed?: MethodNotAllowedHandler<any, any>;
+  /**
+   * Middlewares that only run for this route, after the middlewares of the
+   * directories and before the handler. They also run for the automatic
+   * `OPTIONS` and 405 responses of the route.
+   */
+  // deno-lint-ignore no-explicit-any
+  middleware?: MiddlewareHandler<any> | MiddlewareHandler<any>[];
   config?: RouteConfig;
+  /**
+   * The params of the pages of this route that are rendered by a static
+   * export. Routes with params are skipped by the export without it.
+   */
+  // deno-lint-ignore no-explicit-any
+  getStaticPaths?: GetStaticPaths<any>;
 }
 
+/**
+ * Return the params of the pages of a route that are rendered by a static
+ * export, like `[{ id: "1" }, { id: "2" }]` for `/books/:id`.
+ */
+export type GetStaticPaths<Params = Record<string, string>> = () =>
+  | Params[]
+  | Promise<Params[]>;
+
 // deno-lint-ignore no-explicit-any
 export interface Route<Data = any> {
   pattern: string;
+  /** The path of the route, like `/books/:id`, as used by `url()`. */
+  path: string;
   url: string;
   name: string;
-  component?: ComponentType<PageProps<Data>>;
+  component?:
+    | ComponentType<PageProps<Data>>
+    | AsyncComponent<PageProps<Data>>;
   handler: Handler<Data> | Handlers<Data>;
+  methodNotAllowed?: MethodNotAllowedHandler;
+  /** The URLPattern hostname, if the route is in a hostname directory. */
+  hostname?: string;
+  /** The middlewares that only run for this route. */
+  middlewares: MiddlewareHandler[];
+  /** If params with malformed percent-encoding are passed as they are. */
+  rawParams: boolean;
   csp: boolean;
+  getStaticPaths?: GetStaticPaths;
+  /** For how many seconds responses of the route are cached, if at all. */
+  revalidate?: number;
+  /** The lowercased request headers that the cached responses vary by. */
+  varyHeaders: string[];
+  /** The query params that the cached responses vary by, if any. */
+  cacheQuery: boolean | string[];
+  /** The layouts that wrap this route, ordered from outermost to innermost. */
+  layouts: Layout[];
+  /** The param matchers that the matched params must satisfy, by param name. */
+  matchers: Record<string, ParamMatcher>;
 }
 
+// --- PARAM MATCHERS ---
+
+// deno-lint-ignore no-explicit-any
+export interface ParamMatcher<T = any> {
+  /**
+   * Test if the raw (decoded) value of a param is valid. If it is not, the
+   * route is skipped and the request falls through to the next matching route,
+   * or to the 404 page.
+   */
+  match(param: string): boolean;
+  /**
+   * Convert a valid param value into the value that is exposed in `params`.
+   * If omitted, the raw string value is used.
+   */
+  parse?(param: string): T;
+}
+
+/**
+ * A module in the `params/` folder. The name of the file is the name of the
+ * matcher, so `params/hex.ts` is used for routes like `[color=hex].tsx`.
+ */
+export type ParamMatcherModule = ParamMatcher;
+
+/**
+ * The type of a param that is validated by the given param matcher: the return
+ * type of its `parse` function, or `string` if it has none.
+ */
+export type MatchedParam<M> = M extends { parse(param: string): infer T } ? T
+  : string;
+
 // --- APP ---
 
 export interface AppProps {
@@ -114,23 +467,52 @@ export interface AppProps {
 }
 
 export interface AppModule {
-  default: ComponentType<AppProps>;
+  default: ComponentType<AppProps> | AsyncComponent<AppProps>;
+}
+
+// --- LAYOUTS ---
+
+// deno-lint-ignore no-explicit-any
+export interface LayoutProps<T = any> extends PageProps<T> {
+  /** The page, or the next nested layout, that this layout wraps. */
+  Component: ComponentType<Record<never, never>>;
+}
+
+export interface LayoutModule {
+  // deno-lint-ignore no-explicit-any
+  default: ComponentType<LayoutProps<any>> | AsyncComponent<LayoutProps<any>>;
+}
+
+export interface Layout {
+  /** The URL of the directory that this layout applies to. All pages in this
+   * directory and its subdirectories are wrapped by the layout. */
+  dir: string;
+  url: string;
+  component: ComponentType<LayoutProps> | AsyncComponent<LayoutProps>;
 }
 
 // --- UNKNOWN PAGE ---
 
-export interface UnknownPageProps {
+export interface UnknownPageProps<Data = unknown> {
   /** The URL of the request that resulted in this page being rendered. */
   url: URL;
 
   /** The route matcher (e.g. /blog/:id) that the request matched for this page
    * to be rendered. */
   route: string;
+
+  /** The data passed to `ctx.render()` by the handler of the page, if any. */
+  data?: Data;
 }
 
-export interface UnknownHandlerContext<State = Record<string, unknown>>
-  extends ConnInfo {
-  render: () => Response | Promise<Response>;
+export interface UnknownHandlerContext<
+  State = Record<string, unknown>,
+  Data = unknown,
+> extends ConnInfo {
+  render: (
+    data?: Data,
+    options?: RenderResponseOptions,
+  ) => Response | Promise<Response>;
   state: State;
 }
 
@@ -152,11 +534,28 @@ export interface UnknownPage {
   component?: ComponentType<UnknownPageProps>;
   handler: UnknownHandler;
   csp: boolean;
+  /** The URLs that this page is responsible for. A `_404` page applies to all
+   * URLs in its directory and below. */
+  prefix: URLPattern;
 }
 
+// --- BAD REQUEST ---
+
+export interface BadRequestHandlerContext<State = Record<string, unknown>>
+  extends ConnInfo {
+  /** The error that occurred while decoding the params of the request. */
+  error: unknown;
+  state: State;
+}
+
+export type BadRequestHandler = (
+  req: Request,
+  ctx: BadRequestHandlerContext,
+) => Response | Promise<Response>;
+
 // --- ERROR PAGE ---
 
-export interface ErrorPageProps {
+export interface ErrorPageProps<Data = unknown> {
   /** The URL of the request that resulted in this page being rendered. */
   url: URL;
 
@@ -166,12 +565,20 @@ export interface ErrorPageProps {
 
   /** The error that caused the error page to be loaded. */
   error: unknown;
+
+  /** The data passed to `ctx.render()` by the handler of the page, if any. */
+  data?: Data;
 }
 
-export interface ErrorHandlerContext<State = Record<string, unknown>>
-  extends ConnInfo {
+export interface ErrorHandlerContext<
+  State = Record<string, unknown>,
+  Data = unknown,
+> extends ConnInfo {
   error: unknown;
-  render: () => Response | Promise<Response>;
+  render: (
+    data?: Data,
+    options?: RenderResponseOptions,
+  ) => Response | Promise<Response>;
   state: State;
 }
 export type ErrorHandler = (
@@ -192,6 +599,9 @@ export interface ErrorPage {
   component?: ComponentType<ErrorPageProps>;
   handler: ErrorHandler;
   csp: boolean;
+  /** The URLs that this page is responsible for. A `_500` page applies to all
+   * URLs in its directory and below. */
+  prefix: URLPattern;
 }
 
 // --- MIDDLEWARES ---
@@ -200,6 +610,14 @@ export interface MiddlewareHandlerContext<State = Record<string, unknown>>
   extends ConnInfo {
   next: () => Promise<Response>;
   state: State;
+  /** The locale of the request, if the `i18n` option is set. */
+  locale?: Locale;
+  /**
+   * Mark the cached responses of a page as stale, so that the next request
+   * renders it again. The path is relative to the base path, and covers every
+   * locale and query string of the page.
+   */
+  revalidate: (path: string) => void;
 }
 
 export interface MiddlewareRoute extends Middleware {
@@ -211,6 +629,12 @@ export interface MiddlewareRoute extends Middleware {
    * URLPattern of the route
    */
   compiledPattern: URLPattern;
+  /**
+   * The URL of the directory of a middleware that is defined inside of a
+   * route group. Such a middleware only applies to requests that are handled
+   * by a route inside of that directory.
+   */
+  scope?: string;
 }
 
 export type MiddlewareHandler<State = Record<string, unknown>> = (
@@ -259,6 +683,10 @@ export interface Plugin {
    *
    * The hook can return a `PluginRenderResult` object that can do things like
    * inject CSS into the page, or load additional JS files on the client.
+   *
+   * If a page has suspended `<Suspense>` boundaries, the hook is called again
+   * for every boundary when it is streamed in. The styles returned from these
+   * calls are streamed in before the boundary, without their `id`.
    */
   render?(ctx: PluginRenderContext): PluginRenderResult;
 }
@@ -0,0 +1,30 @@
+import { ServerContext, Status } from "../server.ts";
+import { assert, assertEquals, assertStringIncludes } from "./deps.ts";
+import manifest from "./fixture_routing/fresh.gen.ts";
+
+Deno.test("islands in async pages are hydrated", async () => {
+  const ctx = await ServerContext.fromManifest(manifest, { basePath: "/shop" });
+  const handler = ctx.handler();
+  const resp = await handler(
+    new Request("https://fresh.deno.dev/shop/greeting"),
+    {
+      localAddr: { transport: "tcp", hostname: "127.0.0.1", port: 80 },
+      remoteAddr: { transport: "tcp", hostname: "127.0.0.1", port: 80 },
+    },
+  );
+  assertEquals(resp.status, Status.OK);
+  const body = await resp.text();
+  assertStringIncludes(body, "<!--frsh-greeting:0-->");
+  assert(
+    /import Greeting from "\/shop\/[^"]*\/island-greeting\.js"/.test(body),
+  );
+
+  // Asset paths in the page and in the props of the island get the base path.
+  const assets = body.match(/"\/shop\/logo\.svg\?__frsh_c=/g) ?? [];
+  assertEquals(assets.length, 3, body);
+  const state = body.match(/<script id="__FRSH_STATE"[^>]*>(.*?)<\/script>/);
+  assert(state, body);
+  const [[props]] = JSON.parse(state[1]);
+  assertEquals(props.name, "ann");
+  assert(props.icon.startsWith("/shop/logo.svg?__frsh_c="), props.icon);
+});
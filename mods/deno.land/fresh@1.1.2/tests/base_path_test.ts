@@ -0,0 +1,31 @@
+import { FreshOptions, ServerContext, Status } from "../server.ts";
+import { assert, assertEquals } from "./deps.ts";
+import manifest from "./fixture_routing/fresh.gen.ts";
+
+async function createHandler(options: FreshOptions = {}) {
+  const ctx = await ServerContext.fromManifest(manifest, options);
+  const handler = ctx.handler();
+  return async (req: Request) =>
+    await handler(req, {
+      localAddr: { transport: "tcp", hostname: "127.0.0.1", port: 80 },
+      remoteAddr: { transport: "tcp", hostname: "127.0.0.1", port: 80 },
+    });
+}
+
+Deno.test("the app is served under the base path", async () => {
+  const router = await createHandler({ basePath: "/shop/" });
+  const resp = await router(new Request("https://fresh.deno.dev/shop"));
+  assertEquals(resp.status, Status.OK);
+  const body = await resp.text();
+  assert(/src="\/shop\/logo\.svg\?__frsh_c=/.test(body), body);
+
+  const file = await router(
+    new Request("https://fresh.deno.dev/shop/logo.svg"),
+  );
+  assertEquals(file.status, Status.OK);
+  await file.body?.cancel();
+
+  const outside = await router(new Request("https://fresh.deno.dev/about"));
+  assertEquals(outside.status, Status.NotFound);
+  await outside.body?.cancel();
+});
@@ -0,0 +1,42 @@
+import { FreshOptions, ServerContext, Status } from "../server.ts";
+import { assertEquals, delay } from "./deps.ts";
+import manifest from "./fixture_routing/fresh.gen.ts";
+
+async function createHandler(options: FreshOptions = {}) {
+  const ctx = await ServerContext.fromManifest(manifest, options);
+  const handler = ctx.handler();
+  return async (req: Request) =>
+    await handler(req, {
+      localAddr: { transport: "tcp", hostname: "127.0.0.1", port: 80 },
+      remoteAddr: { transport: "tcp", hostname: "127.0.0.1", port: 80 },
+    });
+}
+
+Deno.test("cached pages are served from the render cache", async () => {
+  const router = await createHandler();
+  const get = async (path = "/cached"): Promise<[string | null, number]> => {
+    const resp = await router(new Request("https://fresh.deno.dev" + path));
+    const render = (await resp.text()).match(/render (\d+)/)?.[1];
+    return [resp.headers.get("x-fresh-cache"), Number(render)];
+  };
+
+  const [state, first] = await get();
+  assertEquals(state, "MISS");
+  assertEquals(await get(), ["HIT", first]);
+  // The query string is not part of the cache key by default.
+  assertEquals(await get("/cached?page=2"), ["HIT", first]);
+
+  // Stale responses are served while the page renders in the background.
+  await delay(150);
+  assertEquals(await get(), ["STALE", first]);
+  await delay(20);
+  assertEquals(await get(), ["HIT", first + 1]);
+
+  // Responses to other methods are not cached.
+  const post = await router(
+    new Request("https://fresh.deno.dev/cached", { method: "POST" }),
+  );
+  assertEquals(post.status, Status.MethodNotAllowed);
+  assertEquals(post.headers.get("x-fresh-cache"), null);
+  await post.body?.cancel();
+});
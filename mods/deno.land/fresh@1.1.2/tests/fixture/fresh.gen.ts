@@ -3,6 +3,7 @@
 // This file is automatically updated during development when running `dev.ts`.
 
 import config from "./deno.json" assert { type: "json" };
+import { createRouteUrl } from "$fresh/runtime.ts";
 import * as $0 from "./routes/[name].tsx";
 import * as $1 from "./routes/_404.tsx";
 import * as $2 from "./routes/_500.tsx";
@@ -18,22 +19,24 @@ import * as $11 from "./routes/index.tsx";
 import * as $12 from "./routes/intercept.tsx";
 import * as $13 from "./routes/intercept_args.tsx";
 import * as $14 from "./routes/islands/index.tsx";
-import * as $15 from "./routes/layeredMdw/_middleware.ts";
-import * as $16 from "./routes/layeredMdw/layer2-no-mw/without_mw.ts";
-import * as $17 from "./routes/layeredMdw/layer2/_middleware.ts";
-import * as $18 from "./routes/layeredMdw/layer2/abc.ts";
-import * as $19 from "./routes/layeredMdw/layer2/index.ts";
-import * as $20 from "./routes/layeredMdw/layer2/layer3/[id].ts";
-import * as $21 from "./routes/layeredMdw/layer2/layer3/_middleware.ts";
-import * as $22 from "./routes/middleware_root.ts";
-import * as $23 from "./routes/not_found.ts";
-import * as $24 from "./routes/params.tsx";
-import * as $25 from "./routes/props/[id].tsx";
-import * as $26 from "./routes/static.tsx";
-import * as $27 from "./routes/wildcard.tsx";
+import * as $15 from "./routes/islands/slots.tsx";
+import * as $16 from "./routes/layeredMdw/_middleware.ts";
+import * as $17 from "./routes/layeredMdw/layer2-no-mw/without_mw.ts";
+import * as $18 from "./routes/layeredMdw/layer2/_middleware.ts";
+import * as $19 from "./routes/layeredMdw/layer2/abc.ts";
+import * as $20 from "./routes/layeredMdw/layer2/index.ts";
+import * as $21 from "./routes/layeredMdw/layer2/layer3/[id].ts";
+import * as $22 from "./routes/layeredMdw/layer2/layer3/_middleware.ts";
+import * as $23 from "./routes/middleware_root.ts";
+import * as $24 from "./routes/not_found.ts";
+import * as $25 from "./routes/params.tsx";
+import * as $26 from "./routes/props/[id].tsx";
+import * as $27 from "./routes/static.tsx";
+import * as $28 from "./routes/wildcard.tsx";
 import * as $$0 from "./islands/Counter.tsx";
-import * as $$1 from "./islands/Test.tsx";
-import * as $$2 from "./islands/kebab-case-counter-test.tsx";
+import * as $$1 from "./islands/Slots.tsx";
+import * as $$2 from "./islands/Test.tsx";
+import * as $$3 from "./islands/kebab-case-counter-test.tsx";
 
 const manifest = {
   routes: {
@@ -52,27 +55,66 @@ const manifest = {
     "./routes/intercept.tsx": $12,
     "./routes/intercept_args.tsx": $13,
     "./routes/islands/index.tsx": $14,
-    "./routes/layeredMdw/_middleware.ts": $15,
-    "./routes/layeredMdw/layer2-no-mw/without_mw.ts": $16,
-    "./routes/layeredMdw/layer2/_middleware.ts": $17,
-    "./routes/layeredMdw/layer2/abc.ts": $18,
-    "./routes/layeredMdw/layer2/index.ts": $19,
-    "./routes/layeredMdw/layer2/layer3/[id].ts": $20,
-    "./routes/layeredMdw/layer2/layer3/_middleware.ts": $21,
-    "./routes/middleware_root.ts": $22,
-    "./routes/not_found.ts": $23,
-    "./routes/params.tsx": $24,
-    "./routes/props/[id].tsx": $25,
-    "./routes/static.tsx": $26,
-    "./routes/wildcard.tsx": $27,
+    "./routes/islands/slots.tsx": $15,
+    "./routes/layeredMdw/_middleware.ts": $16,
+    "./routes/layeredMdw/layer2-no-mw/without_mw.ts": $17,
+    "./routes/layeredMdw/layer2/_middleware.ts": $18,
+    "./routes/layeredMdw/layer2/abc.ts": $19,
+    "./routes/layeredMdw/layer2/index.ts": $20,
+    "./routes/layeredMdw/layer2/layer3/[id].ts": $21,
+    "./routes/layeredMdw/layer2/layer3/_middleware.ts": $22,
+    "./routes/middleware_root.ts": $23,
+    "./routes/not_found.ts": $24,
+    "./routes/params.tsx": $25,
+    "./routes/props/[id].tsx": $26,
+    "./routes/static.tsx": $27,
+    "./routes/wildcard.tsx": $28,
   },
   islands: {
     "./islands/Counter.tsx": $$0,
-    "./islands/Test.tsx": $$1,
-    "./islands/kebab-case-counter-test.tsx": $$2,
+    "./islands/Slots.tsx": $$1,
+    "./islands/Test.tsx": $$2,
+    "./islands/kebab-case-counter-test.tsx": $$3,
   },
+  params: {},
   baseUrl: import.meta.url,
   config,
 };
 
 export default manifest;
+
+/**
+ * The params of every page route, by the path of the route. Use it to type the
+ * params of a page, like `PageProps<Data, RouteParams["/books/:id"]>`.
+ */
+export type RouteParams = {
+  "/:name": { name: string };
+  "/api/get_only": Record<never, never>;
+  "/assetsCaching": Record<never, never>;
+  "/books/:id": { id: string };
+  "/connInfo": Record<never, never>;
+  "/evil": Record<never, never>;
+  "/failure": Record<never, never>;
+  "/": Record<never, never>;
+  "/intercept": Record<never, never>;
+  "/intercept_args": Record<never, never>;
+  "/islands": Record<never, never>;
+  "/islands/slots": Record<never, never>;
+  "/layeredMdw/layer2-no-mw/without_mw": Record<never, never>;
+  "/layeredMdw/layer2/abc": Record<never, never>;
+  "/layeredMdw/layer2": Record<never, never>;
+  "/layeredMdw/layer2/layer3/:id": { id: string };
+  "/middleware_root": Record<never, never>;
+  "/not_found": Record<never, never>;
+  "/params": Record<never, never>;
+  "/props/:id": { id: string };
+  "/static": Record<never, never>;
+  "/wildcard": Record<never, never>;
+};
+
+/**
+ * Build the URL of a route from its path and params, like
+ * `url("/books/:id", { id: 1 })`. Links to routes that were moved or
+ * renamed are type errors. The URLs start with the `basePath` of the app.
+ */
+export const url = createRouteUrl<RouteParams>();
@@ -0,0 +1,16 @@
+import { ComponentChildren } from "preact";
+import { IS_BROWSER } from "$fresh/runtime.ts";
+
+interface SlotsProps {
+  id: string;
+  children: ComponentChildren;
+}
+
+export default function Slots(props: SlotsProps) {
+  return (
+    <div id={props.id}>
+      <button id={`b-${props.id}`} disabled={!IS_BROWSER}>ready</button>
+      {props.children}
+    </div>
+  );
+}
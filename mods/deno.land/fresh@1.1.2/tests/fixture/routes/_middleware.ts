@@ -5,11 +5,8 @@ async function corsHandler(
   _req: Request,
   ctx: MiddlewareHandlerContext,
 ) {
-  if (_req.method == "OPTIONS") {
-    return new Response(null, {
-      status: 204,
-    });
-  }
+  // Preflight requests are answered by the router, with the allowed methods
+  // of the route.
   const origin = _req.headers.get("Origin") || "*";
   const resp = await ctx.next();
   const headers = resp.headers;
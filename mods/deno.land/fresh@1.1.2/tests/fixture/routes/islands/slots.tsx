@@ -0,0 +1,10 @@
+import Slots from "../../islands/Slots.tsx";
+
+export default function SlotsPage() {
+  return (
+    <Slots id="slots">
+      <label for="slot-checkbox" class="slot-label">checked</label>
+      <input id="slot-checkbox" type="checkbox" checked disabled />
+    </Slots>
+  );
+}
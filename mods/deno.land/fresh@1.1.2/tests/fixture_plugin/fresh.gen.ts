@@ -3,6 +3,7 @@
 // This file is automatically updated during development when running `dev.ts`.
 
 import config from "./deno.json" assert { type: "json" };
+import { createRouteUrl } from "$fresh/runtime.ts";
 import * as $0 from "./routes/static.tsx";
 import * as $1 from "./routes/with-island.tsx";
 import * as $$0 from "./islands/Island.tsx";
@@ -15,8 +16,25 @@ const manifest = {
   islands: {
     "./islands/Island.tsx": $$0,
   },
+  params: {},
   baseUrl: import.meta.url,
   config,
 };
 
 export default manifest;
+
+/**
+ * The params of every page route, by the path of the route. Use it to type the
+ * params of a page, like `PageProps<Data, RouteParams["/books/:id"]>`.
+ */
+export type RouteParams = {
+  "/static": Record<never, never>;
+  "/with-island": Record<never, never>;
+};
+
+/**
+ * Build the URL of a route from its path and params, like
+ * `url("/books/:id", { id: 1 })`. Links to routes that were moved or
+ * renamed are type errors. The URLs start with the `basePath` of the app.
+ */
+export const url = createRouteUrl<RouteParams>();
@@ -0,0 +1,63 @@
+// DO NOT EDIT. This file is generated by fresh.
+// This file SHOULD be checked into source version control.
+// This file is automatically updated during development when running `dev.ts`.
+
+import config from "./deno.json" assert { type: "json" };
+import { createRouteUrl } from "$fresh/runtime.ts";
+import type { BuiltinParamMatchers, MatchedParam } from "$fresh/server.ts";
+import * as $0 from "./routes/(marketing)/_layout.tsx";
+import * as $1 from "./routes/(marketing)/about.tsx";
+import * as $2 from "./routes/_layout.tsx";
+import * as $3 from "./routes/authors/[authorSlug].tsx";
+import * as $4 from "./routes/authors/[id=int].tsx";
+import * as $5 from "./routes/books/[slug].tsx";
+import * as $6 from "./routes/cached.tsx";
+import * as $7 from "./routes/greeting.tsx";
+import * as $8 from "./routes/index.tsx";
+import * as $9 from "./routes/stream.tsx";
+import * as $$0 from "./islands/Greeting.tsx";
+
+const manifest = {
+  routes: {
+    "./routes/(marketing)/_layout.tsx": $0,
+    "./routes/(marketing)/about.tsx": $1,
+    "./routes/_layout.tsx": $2,
+    "./routes/authors/[authorSlug].tsx": $3,
+    "./routes/authors/[id=int].tsx": $4,
+    "./routes/books/[slug].tsx": $5,
+    "./routes/cached.tsx": $6,
+    "./routes/greeting.tsx": $7,
+    "./routes/index.tsx": $8,
+    "./routes/stream.tsx": $9,
+  },
+  islands: {
+    "./islands/Greeting.tsx": $$0,
+  },
+  params: {},
+  baseUrl: import.meta.url,
+  config,
+};
+
+export default manifest;
+
+/**
+ * The params of every page route, by the path of the route. Use it to type the
+ * params of a page, like `PageProps<Data, RouteParams["/books/:id"]>`.
+ */
+export type RouteParams = {
+  "/about": Record<never, never>;
+  "/authors/:authorSlug": { authorSlug: string };
+  "/authors/:id": { id: MatchedParam<BuiltinParamMatchers["int"]> };
+  "/books/:slug": { slug: string };
+  "/cached": Record<never, never>;
+  "/greeting": Record<never, never>;
+  "/": Record<never, never>;
+  "/stream": Record<never, never>;
+};
+
+/**
+ * Build the URL of a route from its path and params, like
+ * `url("/books/:id", { id: 1 })`. Links to routes that were moved or
+ * renamed are type errors. The URLs start with the `basePath` of the app.
+ */
+export const url = createRouteUrl<RouteParams>();
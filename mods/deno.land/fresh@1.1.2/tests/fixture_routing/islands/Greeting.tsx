@@ -0,0 +1,12 @@
+interface GreetingProps {
+  name: string;
+  icon: string;
+}
+
+export default function Greeting(props: GreetingProps) {
+  return (
+    <p>
+      <img src={props.icon} alt="" /> hello {props.name}
+    </p>
+  );
+}
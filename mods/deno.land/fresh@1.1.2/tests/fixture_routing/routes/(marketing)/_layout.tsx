@@ -0,0 +1,9 @@
+import { LayoutProps } from "$fresh/server.ts";
+
+export default function MarketingLayout({ Component }: LayoutProps) {
+  return (
+    <section class="marketing-layout">
+      <Component />
+    </section>
+  );
+}
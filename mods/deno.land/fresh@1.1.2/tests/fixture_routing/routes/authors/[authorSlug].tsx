@@ -0,0 +1,5 @@
+import { PageProps } from "$fresh/server.ts";
+
+export default function Author({ params }: PageProps) {
+  return <p>author {params.authorSlug}</p>;
+}
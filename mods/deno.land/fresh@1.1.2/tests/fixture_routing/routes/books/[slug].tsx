@@ -0,0 +1,5 @@
+import { PageProps } from "$fresh/server.ts";
+
+export default function Book({ params }: PageProps) {
+  return <p>book {params.slug}</p>;
+}
@@ -0,0 +1,15 @@
+import { Handlers, PageProps, RouteConfig } from "$fresh/server.ts";
+
+export const config: RouteConfig = { revalidate: 0.1 };
+
+let renders = 0;
+
+export const handler: Handlers<number> = {
+  GET(_req, ctx) {
+    return ctx.render(++renders);
+  },
+};
+
+export default function Cached({ data }: PageProps<number>) {
+  return <p>render {data}</p>;
+}
@@ -0,0 +1,12 @@
+import { asset } from "$fresh/runtime.ts";
+import Greeting from "../islands/Greeting.tsx";
+
+export default async function GreetingPage() {
+  const name = await Promise.resolve("ann");
+  return (
+    <div>
+      <img src={asset("/logo.svg")} alt="logo" />
+      <Greeting name={name} icon={asset("/logo.svg")} />
+    </div>
+  );
+}
@@ -0,0 +1,5 @@
+import { asset } from "$fresh/runtime.ts";
+
+export default function Home() {
+  return <img src={asset("/logo.svg")} alt="home" />;
+}
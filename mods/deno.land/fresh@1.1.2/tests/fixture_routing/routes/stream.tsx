@@ -0,0 +1,23 @@
+import { Suspense } from "$fresh/runtime.ts";
+
+let message: string | undefined;
+
+function Slow() {
+  if (message === undefined) {
+    throw new Promise<void>((resolve) =>
+      setTimeout(() => {
+        message = "loaded";
+        resolve();
+      }, 10)
+    );
+  }
+  return <p>{message}</p>;
+}
+
+export default function Stream() {
+  return (
+    <Suspense fallback={<p>loading</p>}>
+      <Slow />
+    </Suspense>
+  );
+}
@@ -0,0 +1,40 @@
+import { FreshOptions, ServerContext, Status } from "../server.ts";
+import { assertEquals, assertStringIncludes } from "./deps.ts";
+import manifest from "./fixture_routing/fresh.gen.ts";
+
+async function createHandler(options: FreshOptions = {}) {
+  const ctx = await ServerContext.fromManifest(manifest, {
+    i18n: { locales: ["en", "de"], defaultLocale: "en", detect: false },
+    ...options,
+  });
+  const handler = ctx.handler();
+  return async (req: Request) =>
+    await handler(req, {
+      localAddr: { transport: "tcp", hostname: "127.0.0.1", port: 80 },
+      remoteAddr: { transport: "tcp", hostname: "127.0.0.1", port: 80 },
+    });
+}
+
+Deno.test("pages are served in the locale of their prefix", async () => {
+  const router = await createHandler();
+  const resp = await router(new Request("https://fresh.deno.dev/de/about"));
+  assertEquals(resp.status, Status.OK);
+  assertStringIncludes(await resp.text(), `<html lang="de" dir="ltr">`);
+});
+
+Deno.test("the prefix of the default locale is redirected", async (t) => {
+  for (
+    const [basePath, path, location] of [
+      ["", "/en/about", "https://fresh.deno.dev/about"],
+      ["", "/en", "https://fresh.deno.dev/"],
+      ["/shop", "/shop/en/about?q=1", "https://fresh.deno.dev/shop/about?q=1"],
+    ]
+  ) {
+    await t.step(path, async () => {
+      const router = await createHandler({ basePath });
+      const resp = await router(new Request(`https://fresh.deno.dev${path}`));
+      assertEquals(resp.status, Status.PermanentRedirect);
+      assertEquals(resp.headers.get("location"), location);
+    });
+  }
+});
@@ -0,0 +1,61 @@
+import { assertEquals, delay, puppeteer, TextLineStream } from "./deps.ts";
+
+Deno.test({
+  name: "the JSX in the slots of an island is revived with its attributes",
+  async fn() {
+    const serverProcess = Deno.run({
+      cmd: ["deno", "run", "-A", "./tests/fixture/main.ts"],
+      stdout: "piped",
+      stderr: "inherit",
+    });
+    const lines = serverProcess.stdout.readable
+      .pipeThrough(new TextDecoderStream())
+      .pipeThrough(new TextLineStream());
+
+    let started = false;
+    for await (const line of lines) {
+      if (line.includes("Listening on http://")) {
+        started = true;
+        break;
+      }
+    }
+    if (!started) {
+      throw new Error("Server didn't start up");
+    }
+    await delay(100);
+
+    const browser = await puppeteer.launch({ args: ["--no-sandbox"] });
+    try {
+      const page = await browser.newPage();
+      await page.goto("http://localhost:8000/islands/slots", {
+        waitUntil: "networkidle2",
+      });
+      // The button is enabled once the island is hydrated.
+      await page.waitForSelector("#b-slots:not([disabled])");
+
+      const slot = await page.$eval("#slots", (el: Element) => {
+        const input = el.querySelector("input")!;
+        const label = el.querySelector("label")!;
+        return {
+          checked: input.checked,
+          disabled: input.disabled,
+          className: label.className,
+          htmlFor: label.htmlFor,
+        };
+      });
+      assertEquals(slot, {
+        checked: true,
+        disabled: true,
+        className: "slot-label",
+        htmlFor: "slot-checkbox",
+      });
+    } finally {
+      await browser.close();
+      await lines.cancel();
+      serverProcess.kill("SIGTERM");
+      serverProcess.close();
+    }
+  },
+  sanitizeOps: false,
+  sanitizeResources: false,
+});
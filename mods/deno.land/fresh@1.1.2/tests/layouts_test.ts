@@ -0,0 +1,18 @@
+import { ServerContext, Status } from "../server.ts";
+import { assertEquals, assertStringIncludes } from "./deps.ts";
+import manifest from "./fixture_routing/fresh.gen.ts";
+
+const ctx = await ServerContext.fromManifest(manifest, {});
+const handler = ctx.handler();
+const router = async (req: Request) =>
+  await handler(req, {
+    localAddr: { transport: "tcp", hostname: "127.0.0.1", port: 80 },
+    remoteAddr: { transport: "tcp", hostname: "127.0.0.1", port: 80 },
+  });
+
+Deno.test("layouts wrap the pages in their directory", async () => {
+  const resp = await router(new Request("https://fresh.deno.dev/books/1"));
+  assertEquals(resp.status, Status.OK);
+  const body = await resp.text();
+  assertStringIncludes(body, `<div class="root-layout"><p>book 1</p></div>`);
+});
@@ -0,0 +1,50 @@
+import { ServerContext, Status } from "../server.ts";
+import { assertEquals } from "./deps.ts";
+import manifest from "./fixture/fresh.gen.ts";
+import options from "./fixture/options.ts";
+
+const ctx = await ServerContext.fromManifest(manifest, options);
+const handler = ctx.handler();
+const router = async (req: Request) =>
+  await handler(req, {
+    localAddr: { transport: "tcp", hostname: "127.0.0.1", port: 80 },
+    remoteAddr: { transport: "tcp", hostname: "127.0.0.1", port: 80 },
+  });
+
+Deno.test("HEAD requests are answered by the GET handler", async () => {
+  const resp = await router(
+    new Request("https://fresh.deno.dev/api/get_only", { method: "HEAD" }),
+  );
+  assertEquals(resp.status, Status.OK);
+  assertEquals(
+    resp.headers.get("content-type"),
+    "application/json; charset=utf-8",
+  );
+  assertEquals(await resp.text(), "");
+});
+
+Deno.test("OPTIONS requests are answered inside the middlewares", async () => {
+  const resp = await router(
+    new Request("https://fresh.deno.dev/api/get_only", {
+      method: "OPTIONS",
+      headers: { origin: "https://example.com" },
+    }),
+  );
+  assertEquals(resp.status, Status.NoContent);
+  assertEquals(resp.headers.get("allow"), "GET, NOTAMETHOD, HEAD, OPTIONS");
+  assertEquals(
+    resp.headers.get("access-control-allow-origin"),
+    "https://example.com",
+  );
+  assertEquals(resp.headers.get("server"), "fresh test server");
+});
+
+Deno.test("unknown methods are answered with 405 and Allow", async () => {
+  const resp = await router(
+    new Request("https://fresh.deno.dev/api/get_only", { method: "POST" }),
+  );
+  assertEquals(resp.status, Status.MethodNotAllowed);
+  assertEquals(resp.headers.get("allow"), "GET, NOTAMETHOD, HEAD, OPTIONS");
+  assertEquals(resp.headers.get("access-control-allow-origin"), "*");
+  await resp.body?.cancel();
+});
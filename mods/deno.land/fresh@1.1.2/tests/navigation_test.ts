@@ -0,0 +1,35 @@
+import { ServerContext, Status } from "../server.ts";
+import { assertEquals, assertStringIncludes } from "./deps.ts";
+import manifest from "./fixture_plugin/fresh.gen.ts";
+import options from "./fixture_plugin/options.ts";
+
+const ctx = await ServerContext.fromManifest(manifest, {
+  ...options,
+  partialNavigation: true,
+});
+const handler = ctx.handler();
+const router = async (req: Request) =>
+  await handler(req, {
+    localAddr: { transport: "tcp", hostname: "127.0.0.1", port: 80 },
+    remoteAddr: { transport: "tcp", hostname: "127.0.0.1", port: 80 },
+  });
+
+Deno.test("the styles of a page are marked to be replaced", async () => {
+  const resp = await router(new Request("https://fresh.deno.dev/static"));
+  assertEquals(resp.status, Status.OK);
+  assertStringIncludes(
+    await resp.text(),
+    `<!--__FRSH_STYLES--><style id="abc">body { color: red; }</style></!--__FRSH_STYLES-->`,
+  );
+});
+
+Deno.test("the styles of a partial page keep their ids", async () => {
+  const resp = await router(
+    new Request("https://fresh.deno.dev/static", {
+      headers: { "X-Fresh-Partial": "1" },
+    }),
+  );
+  assertEquals(resp.status, Status.OK);
+  const page = await resp.json();
+  assertEquals(page.styles, `<style id="abc">body { color: red; }</style>`);
+});
@@ -0,0 +1,25 @@
+import { ServerContext, Status } from "../server.ts";
+import { assertEquals, assertStringIncludes } from "./deps.ts";
+import manifest from "./fixture_routing/fresh.gen.ts";
+
+// `authors/[authorSlug].tsx` comes before `authors/[id=int].tsx` in the
+// manifest, but the route with the param matcher must be tried first.
+const ctx = await ServerContext.fromManifest(manifest, {});
+const handler = ctx.handler();
+const router = async (req: Request) =>
+  await handler(req, {
+    localAddr: { transport: "tcp", hostname: "127.0.0.1", port: 80 },
+    remoteAddr: { transport: "tcp", hostname: "127.0.0.1", port: 80 },
+  });
+
+Deno.test("params with a matcher take precedence over plain params", async () => {
+  const resp = await router(new Request("https://fresh.deno.dev/authors/42"));
+  assertEquals(resp.status, Status.OK);
+  assertStringIncludes(await resp.text(), "<p>author #42</p>");
+});
+
+Deno.test("params that don't match fall through to the next route", async () => {
+  const resp = await router(new Request("https://fresh.deno.dev/authors/ann"));
+  assertEquals(resp.status, Status.OK);
+  assertStringIncludes(await resp.text(), "<p>author ann</p>");
+});
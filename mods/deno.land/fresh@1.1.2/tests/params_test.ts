@@ -0,0 +1,24 @@
+import { ServerContext, Status } from "../server.ts";
+import { assertEquals, assertStringIncludes } from "./deps.ts";
+import manifest from "./fixture_routing/fresh.gen.ts";
+
+const ctx = await ServerContext.fromManifest(manifest, {});
+const handler = ctx.handler();
+const router = async (req: Request) =>
+  await handler(req, {
+    localAddr: { transport: "tcp", hostname: "127.0.0.1", port: 80 },
+    remoteAddr: { transport: "tcp", hostname: "127.0.0.1", port: 80 },
+  });
+
+Deno.test("params with malformed encoding are a bad request", async () => {
+  const resp = await router(
+    new Request("https://fresh.deno.dev/books/%E0%A4%A"),
+  );
+  assertEquals(resp.status, Status.BadRequest);
+  await resp.body?.cancel();
+
+  const decoded = await router(
+    new Request("https://fresh.deno.dev/books/a%20b"),
+  );
+  assertStringIncludes(await decoded.text(), "<p>book a b</p>");
+});
@@ -0,0 +1,20 @@
+import { ServerContext, Status } from "../server.ts";
+import { assertEquals, assertStringIncludes } from "./deps.ts";
+import manifest from "./fixture/fresh.gen.ts";
+import options from "./fixture/options.ts";
+
+Deno.test("pages are not held up by the bundling of their scripts", async () => {
+  const ctx = await ServerContext.fromManifest(manifest, {
+    ...options,
+    preloadLinkHeader: true,
+  });
+  const handler = ctx.handler();
+  const resp = await handler(new Request("https://fresh.deno.dev/islands"), {
+    localAddr: { transport: "tcp", hostname: "127.0.0.1", port: 80 },
+    remoteAddr: { transport: "tcp", hostname: "127.0.0.1", port: 80 },
+  });
+  assertEquals(resp.status, Status.OK);
+  // The chunks of the scripts are not known before they were bundled.
+  assertEquals(resp.headers.get("link"), null);
+  assertStringIncludes(await resp.text(), "/island-counter.js");
+});
@@ -0,0 +1,37 @@
+import { FreshOptions, ServerContext, Status } from "../server.ts";
+import { assertEquals } from "./deps.ts";
+import manifest from "./fixture_routing/fresh.gen.ts";
+
+async function createHandler(options: FreshOptions = {}) {
+  const ctx = await ServerContext.fromManifest(manifest, options);
+  const handler = ctx.handler();
+  return async (req: Request) =>
+    await handler(req, {
+      localAddr: { transport: "tcp", hostname: "127.0.0.1", port: 80 },
+      remoteAddr: { transport: "tcp", hostname: "127.0.0.1", port: 80 },
+    });
+}
+
+Deno.test("redirects are applied before routing", async () => {
+  const router = await createHandler({
+    redirects: [
+      { source: "/old/:slug", destination: "/books/:slug" },
+      { source: "/info", destination: "/about", permanent: true },
+    ],
+  });
+  const resp = await router(
+    new Request("https://fresh.deno.dev/old/dune?edition=2"),
+  );
+  assertEquals(resp.status, Status.TemporaryRedirect);
+  assertEquals(
+    resp.headers.get("location"),
+    "https://fresh.deno.dev/books/dune?edition=2",
+  );
+
+  const permanent = await router(new Request("https://fresh.deno.dev/info"));
+  assertEquals(permanent.status, Status.PermanentRedirect);
+  assertEquals(
+    permanent.headers.get("location"),
+    "https://fresh.deno.dev/about",
+  );
+});
@@ -0,0 +1,27 @@
+import { ServerContext, Status } from "../server.ts";
+import { assertEquals, assertStringIncludes } from "./deps.ts";
+import manifest from "./fixture_routing/fresh.gen.ts";
+
+const ctx = await ServerContext.fromManifest(manifest, {});
+const handler = ctx.handler();
+const router = async (req: Request) =>
+  await handler(req, {
+    localAddr: { transport: "tcp", hostname: "127.0.0.1", port: 80 },
+    remoteAddr: { transport: "tcp", hostname: "127.0.0.1", port: 80 },
+  });
+
+Deno.test("route groups don't add a path segment", async () => {
+  const resp = await router(new Request("https://fresh.deno.dev/about"));
+  assertEquals(resp.status, Status.OK);
+  const body = await resp.text();
+  assertStringIncludes(
+    body,
+    `<div class="root-layout"><section class="marketing-layout"><p>about</p></section></div>`,
+  );
+
+  const group = await router(
+    new Request("https://fresh.deno.dev/(marketing)/about"),
+  );
+  assertEquals(group.status, Status.NotFound);
+  await group.body?.cancel();
+});
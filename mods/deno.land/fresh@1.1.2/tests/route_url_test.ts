@@ -0,0 +1,22 @@
+import { ServerContext } from "../server.ts";
+import { createRouteUrl } from "../runtime.ts";
+import { assertEquals } from "./deps.ts";
+import manifest, { url } from "./fixture_routing/fresh.gen.ts";
+
+Deno.test("url() starts with the base path of the app", async () => {
+  await ServerContext.fromManifest(manifest, { basePath: "/shop/" });
+  try {
+    assertEquals(url("/books/:slug", { slug: "a b" }), "/shop/books/a%20b");
+    assertEquals(url("/"), "/shop");
+  } finally {
+    await ServerContext.fromManifest(manifest, {});
+  }
+  assertEquals(url("/books/:slug", { slug: "a b" }), "/books/a%20b");
+});
+
+Deno.test("url() can be created for another base path", () => {
+  const shopUrl = createRouteUrl<{ "/books/:slug": { slug: string } }>(
+    "/shop",
+  );
+  assertEquals(shopUrl("/books/:slug", { slug: "dune" }), "/shop/books/dune");
+});
@@ -0,0 +1,24 @@
+import { ServerContext, Status } from "../server.ts";
+import { assert, assertEquals, assertStringIncludes } from "./deps.ts";
+import manifest from "./fixture_routing/fresh.gen.ts";
+
+const ctx = await ServerContext.fromManifest(manifest, {});
+const handler = ctx.handler();
+const router = async (req: Request) =>
+  await handler(req, {
+    localAddr: { transport: "tcp", hostname: "127.0.0.1", port: 80 },
+    remoteAddr: { transport: "tcp", hostname: "127.0.0.1", port: 80 },
+  });
+
+Deno.test("suspended boundaries are streamed in", async () => {
+  const resp = await router(new Request("https://fresh.deno.dev/stream"));
+  assertEquals(resp.status, Status.OK);
+  const body = await resp.text();
+  assertStringIncludes(body, "<p>loading</p>");
+  assertStringIncludes(
+    body,
+    `<template id="__FRSH_SUSPENSE_0"><p>loaded</p></template>`,
+  );
+  assert(body.indexOf("<p>loading</p>") < body.indexOf("<p>loaded</p>"));
+  assert(body.endsWith("</body></html>"));
+});
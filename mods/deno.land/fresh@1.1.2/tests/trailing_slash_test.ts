@@ -0,0 +1,52 @@
+import { FreshOptions, ServerContext, Status } from "../server.ts";
+import { assertEquals } from "./deps.ts";
+import manifest from "./fixture_routing/fresh.gen.ts";
+
+async function createHandler(options: FreshOptions = {}) {
+  const ctx = await ServerContext.fromManifest(manifest, options);
+  const handler = ctx.handler();
+  return async (req: Request) =>
+    await handler(req, {
+      localAddr: { transport: "tcp", hostname: "127.0.0.1", port: 80 },
+      remoteAddr: { transport: "tcp", hostname: "127.0.0.1", port: 80 },
+    });
+}
+
+const router = await createHandler();
+
+Deno.test("trailing slashes are redirected", async (t) => {
+  await t.step("never (default)", async () => {
+    const resp = await router(new Request("https://fresh.deno.dev/about/"));
+    assertEquals(resp.status, Status.TemporaryRedirect);
+    assertEquals(resp.headers.get("location"), "https://fresh.deno.dev/about");
+  });
+
+  await t.step("always", async () => {
+    const router = await createHandler({
+      trailingSlash: "always",
+      permanentTrailingSlashRedirect: true,
+    });
+    const resp = await router(new Request("https://fresh.deno.dev/about"));
+    assertEquals(resp.status, Status.PermanentRedirect);
+    assertEquals(
+      resp.headers.get("location"),
+      "https://fresh.deno.dev/about/",
+    );
+    const page = await router(new Request("https://fresh.deno.dev/about/"));
+    assertEquals(page.status, Status.OK);
+    await page.body?.cancel();
+    // Static files are not redirected.
+    const file = await router(new Request("https://fresh.deno.dev/logo.svg"));
+    assertEquals(file.status, Status.OK);
+    await file.body?.cancel();
+  });
+
+  await t.step("ignore", async () => {
+    const router = await createHandler({ trailingSlash: "ignore" });
+    for (const path of ["/about", "/about/"]) {
+      const resp = await router(new Request("https://fresh.deno.dev" + path));
+      assertEquals(resp.status, Status.OK);
+      await resp.body?.cancel();
+    }
+  });
+});
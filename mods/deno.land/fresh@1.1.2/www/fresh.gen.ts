@@ -3,6 +3,7 @@
 // This file is automatically updated during development when running `dev.ts`.
 
 import config from "./deno.json" assert { type: "json" };
+import { createRouteUrl } from "$fresh/runtime.ts";
 import * as $0 from "./routes/_404.tsx";
 import * as $1 from "./routes/_500.tsx";
 import * as $2 from "./routes/_middleware.ts";
@@ -39,8 +40,30 @@ const manifest = {
     "./islands/LemonDrop.tsx": $$3,
     "./islands/SearchButton.tsx": $$4,
   },
+  params: {},
   baseUrl: import.meta.url,
   config,
 };
 
 export default manifest;
+
+/**
+ * The params of every page route, by the path of the route. Use it to type the
+ * params of a page, like `PageProps<Data, RouteParams["/books/:id"]>`.
+ */
+export type RouteParams = {
+  "/components": Record<never, never>;
+  "/docs/:slug*": { slug?: string };
+  "/gfm.css": Record<never, never>;
+  "/": Record<never, never>;
+  "/raw": Record<never, never>;
+  "/showcase": Record<never, never>;
+  "/update": Record<never, never>;
+};
+
+/**
+ * Build the URL of a route from its path and params, like
+ * `url("/books/:id", { id: 1 })`. Links to routes that were moved or
+ * renamed are type errors. The URLs start with the `basePath` of the app.
+ */
+export const url = createRouteUrl<RouteParams>();
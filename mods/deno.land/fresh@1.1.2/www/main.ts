@@ -10,4 +10,13 @@ import twindPlugin from "$fresh/plugins/twind.ts";
 import manifest from "./fresh.gen.ts";
 import twindConfig from "./twind.config.ts";
 
-await start(manifest, { plugins: [twindPlugin(twindConfig)] });
+await start(manifest, {
+  plugins: [twindPlugin(twindConfig)],
+  redirects: [
+    { source: "/docs", destination: "/docs/introduction" },
+    {
+      source: "/docs/concepts/architechture",
+      destination: "/docs/concepts/architecture",
+    },
+  ],
+});
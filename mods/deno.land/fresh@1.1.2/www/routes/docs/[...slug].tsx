@@ -24,19 +24,6 @@ interface Page extends TableOfContentsEntry {
 export const handler: Handlers<Data> = {
   async GET(_req, ctx) {
     const slug = ctx.params.slug;
-    if (slug === "") {
-      return new Response("", {
-        status: 307,
-        headers: { location: "/docs/introduction" },
-      });
-    }
-    if (slug === "concepts/architechture") {
-      return new Response("", {
-        status: 307,
-        headers: { location: "/docs/concepts/architecture" },
-      });
-    }
-
     const entry = TABLE_OF_CONTENTS[slug];
     if (!entry) {
       return ctx.renderNotFound();